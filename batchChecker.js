@@ -0,0 +1,192 @@
+/**
+ * Batch Checker
+ * Checks many documents against the same brand rules and summarizes them for a pipeline:
+ * a score per document, pass/fail against a score threshold, and JSON or JUnit reports
+ */
+
+import { ComplianceChecker } from './complianceChecker.js';
+import { JsonDocumentAdapter } from './jsonDocumentAdapter.js';
+import { ReportGenerator } from './reportGenerator.js';
+
+// Documents scoring below this fail unless a threshold is given
+export const DEFAULT_SCORE_THRESHOLD = 70;
+
+const BATCH_CATEGORIES = ['colors', 'fonts', 'logo', 'contrast'];
+
+export class BatchChecker {
+    constructor(brandRules, { threshold = DEFAULT_SCORE_THRESHOLD, adapterOptions = {} } = {}) {
+        this.brandRules = brandRules;
+        this.threshold = threshold;
+        this.adapterOptions = adapterOptions;
+        this.reportGenerator = new ReportGenerator();
+    }
+
+    /**
+     * Check documents given as { name, model } (JSON document models)
+     * Returns { results, summary }; a document that cannot be checked is reported with its error
+     */
+    async checkDocuments(documents) {
+        const results = [];
+        for (const document of documents) {
+            results.push(await this.checkDocument(document.name, document.model));
+        }
+        return { results, summary: this.summarize(results) };
+    }
+
+    /**
+     * Check one document model
+     */
+    async checkDocument(name, model) {
+        try {
+            if (!this.isDocumentModel(model)) {
+                throw new Error('Not a document model: expected "pages" or "layers"');
+            }
+            const checker = new ComplianceChecker(this.brandRules, new JsonDocumentAdapter(model, this.adapterOptions));
+            const complianceData = await checker.checkAll();
+            const scoreResult = checker.calculateScore(complianceData);
+            const report = this.reportGenerator.createReport(complianceData, scoreResult, {
+                brandRules: this.brandRules,
+                rulesSource: 'file',
+                documentId: model.id || name,
+                documentTitle: model.title || name
+            });
+
+            return {
+                name,
+                score: scoreResult.score,
+                passed: scoreResult.score >= this.threshold,
+                violationCounts: Object.fromEntries(
+                    BATCH_CATEGORIES.map(category => [category, complianceData[category].violationCount])
+                ),
+                report,
+                error: null
+            };
+        } catch (error) {
+            return this.createErrorResult(name, error);
+        }
+    }
+
+    /**
+     * Check if a value is a JSON document model, i.e. has pages or layers,
+     * so other JSON files (settings, package files) are not scored as empty documents
+     */
+    isDocumentModel(model) {
+        return Boolean(model) && typeof model === 'object' && !Array.isArray(model) &&
+            (Array.isArray(model.pages) || Array.isArray(model.layers));
+    }
+
+    /**
+     * Result for a document that could not be read or checked; it counts as failed
+     */
+    createErrorResult(name, error) {
+        return { name, score: null, passed: false, violationCounts: null, report: null, error: error.message };
+    }
+
+    /**
+     * Count passed, failed and errored documents, and the average score of the checked ones
+     */
+    summarize(results) {
+        const scored = results.filter(result => !result.error);
+        return {
+            documents: results.length,
+            passed: results.filter(result => result.passed).length,
+            failed: scored.filter(result => !result.passed).length,
+            errors: results.length - scored.length,
+            averageScore: scored.length > 0
+                ? Math.round(scored.reduce((sum, result) => sum + result.score, 0) / scored.length)
+                : null,
+            threshold: this.threshold
+        };
+    }
+
+    /**
+     * Check if parsed JSON is a report written by toJson, whose `documents` are results, not models
+     */
+    isBatchReport(content) {
+        return Boolean(content) && typeof content === 'object' && !Array.isArray(content) &&
+            Array.isArray(content.documents) && Boolean(content.summary) && typeof content.summary === 'object' &&
+            'generatedAt' in content;
+    }
+
+    /**
+     * Serialize a batch as a JSON report, with the full compliance report of each document
+     */
+    toJson(batch) {
+        return JSON.stringify({
+            generatedAt: new Date().toISOString(),
+            rules: {
+                brandName: this.brandRules.brandName || null,
+                schemaVersion: this.brandRules.schemaVersion || null,
+                fingerprint: this.reportGenerator.fingerprint(this.brandRules)
+            },
+            summary: batch.summary,
+            documents: batch.results.map(result => ({
+                name: result.name,
+                score: result.score,
+                passed: result.passed,
+                error: result.error,
+                report: result.report
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Render a batch as JUnit XML for CI servers
+     * Each document is a test suite: one test case for the score threshold and one per category
+     */
+    toJunit(batch) {
+        const e = value => this.reportGenerator.escapeHtml(value);
+        const suites = batch.results.map(result => {
+            if (result.error) {
+                return `  <testsuite name="${e(result.name)}" tests="1" failures="0" errors="1">\n` +
+                    `    <testcase classname="${e(result.name)}" name="check"><error message="${e(result.error)}"/></testcase>\n` +
+                    '  </testsuite>';
+            }
+
+            const cases = [{
+                name: `score >= ${this.threshold}`,
+                failure: result.passed ? null : `Score ${result.score} is below ${this.threshold}`,
+                details: ''
+            }];
+            for (const category of BATCH_CATEGORIES) {
+                const data = result.report.categories[category];
+                cases.push({
+                    name: category,
+                    failure: data.isCompliant ? null : data.details,
+                    details: data.violations.map(v => this.describeViolation(v)).join('\n')
+                });
+            }
+
+            const failures = cases.filter(testCase => testCase.failure).length;
+            const lines = cases.map(testCase => {
+                const open = `    <testcase classname="${e(result.name)}" name="${e(testCase.name)}"`;
+                if (!testCase.failure) return `${open}/>`;
+                return `${open}><failure message="${e(testCase.failure)}">${e(testCase.details)}</failure></testcase>`;
+            });
+            return `  <testsuite name="${e(result.name)}" tests="${cases.length}" failures="${failures}" errors="0">\n` +
+                `${lines.join('\n')}\n  </testsuite>`;
+        });
+
+        const tests = batch.results.reduce((sum, result) => sum + (result.error ? 1 : BATCH_CATEGORIES.length + 1), 0);
+        const failures = batch.results.reduce((sum, result) => {
+            if (result.error) return sum;
+            const failedCategories = BATCH_CATEGORIES.filter(c => !result.report.categories[c].isCompliant).length;
+            return sum + failedCategories + (result.passed ? 0 : 1);
+        }, 0);
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<testsuites name="brandguard" tests="${tests}" failures="${failures}" errors="${batch.summary.errors}">\n` +
+            `${suites.join('\n')}\n</testsuites>\n`;
+    }
+
+    /**
+     * One line per violation: where it is, what it is and what is expected
+     */
+    describeViolation(violation) {
+        const where = violation.layerPath || violation.layerName || 'Document';
+        const what = violation.message && violation.message !== violation.current
+            ? `${violation.current} (${violation.message})`
+            : violation.current;
+        return `${where}: ${what}${violation.expected ? ` -> ${violation.expected}` : ''}`;
+    }
+}
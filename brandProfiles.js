@@ -0,0 +1,255 @@
+/**
+ * Brand Profiles
+ * Named brand profiles from brandProfiles.json; a profile can extend a parent
+ * profile and override parts of its rules, and each document remembers its profile
+ */
+
+const BRAND_PROFILES_FILE = './brandProfiles.json';
+const BRAND_RULES_FILE = './brandRules.json';
+
+// Used when there is no brandProfiles.json: brandRules.json is the only profile
+const DEFAULT_PROFILE_ID = 'default';
+
+const DOCUMENT_PROFILES_KEY = 'brandguard.documentProfiles';
+
+export class BrandProfiles {
+    constructor(store, validator) {
+        this.store = store;
+        this.validator = validator;
+        this.profiles = [];
+        this.defaultProfileId = DEFAULT_PROFILE_ID;
+        this.fileCache = new Map();
+    }
+
+    /**
+     * Load the profile list
+     * Returns the problems found in brandProfiles.json as { path, message }
+     */
+    async load() {
+        let manifest;
+        try {
+            manifest = await this.fetchJson(BRAND_PROFILES_FILE);
+        } catch (error) {
+            console.info('No brandProfiles.json, using brandRules.json as the only profile');
+            this.profiles = [{ id: DEFAULT_PROFILE_ID, file: BRAND_RULES_FILE }];
+            this.defaultProfileId = DEFAULT_PROFILE_ID;
+            return [];
+        }
+
+        const problems = this.validateManifest(manifest);
+        if (problems.length > 0) {
+            this.profiles = [{ id: DEFAULT_PROFILE_ID, file: BRAND_RULES_FILE }];
+            this.defaultProfileId = DEFAULT_PROFILE_ID;
+            return problems;
+        }
+
+        this.profiles = manifest.profiles;
+        this.defaultProfileId = manifest.defaultProfile || manifest.profiles[0].id;
+        return [];
+    }
+
+    /**
+     * Check the profile list: unique ids, known parents, no inheritance loops
+     */
+    validateManifest(manifest) {
+        const problems = [];
+        const problem = (path, message) => problems.push({ path, message });
+
+        if (!manifest || !Array.isArray(manifest.profiles) || manifest.profiles.length === 0) {
+            problem('profiles', 'must list at least one profile');
+            return problems;
+        }
+
+        const ids = new Set();
+        manifest.profiles.forEach((profile, index) => {
+            const path = `profiles[${index}]`;
+            if (!profile.id || typeof profile.id !== 'string') {
+                problem(`${path}.id`, 'is required');
+            } else if (ids.has(profile.id)) {
+                problem(`${path}.id`, `${profile.id} is used by another profile`);
+            }
+            ids.add(profile.id);
+
+            if (!profile.file && !profile.extends) {
+                problem(path, 'needs a rules "file" or a parent profile to "extends"');
+            }
+            if (profile.rules !== undefined && (typeof profile.rules !== 'object' || Array.isArray(profile.rules))) {
+                problem(`${path}.rules`, 'must be an object');
+            }
+        });
+
+        manifest.profiles.forEach((profile, index) => {
+            if (profile.extends && !ids.has(profile.extends)) {
+                problem(`profiles[${index}].extends`, `unknown profile ${profile.extends}`);
+            } else if (profile.extends && this.findInheritanceLoop(manifest.profiles, profile)) {
+                problem(`profiles[${index}].extends`, `${profile.id} inherits from itself`);
+            }
+        });
+
+        if (manifest.defaultProfile && !ids.has(manifest.defaultProfile)) {
+            problem('defaultProfile', `unknown profile ${manifest.defaultProfile}`);
+        }
+        return problems;
+    }
+
+    /**
+     * Check if following a profile's parents leads back to it
+     */
+    findInheritanceLoop(profiles, profile) {
+        const seen = new Set([profile.id]);
+        let parent = profiles.find(p => p.id === profile.extends);
+        while (parent) {
+            if (seen.has(parent.id)) return true;
+            seen.add(parent.id);
+            parent = parent.extends ? profiles.find(p => p.id === parent.extends) : null;
+        }
+        return false;
+    }
+
+    /**
+     * Get the profiles for the switcher, in brandProfiles.json order
+     */
+    getProfiles() {
+        return this.profiles.map(profile => ({
+            id: profile.id,
+            name: profile.name || null,
+            extends: profile.extends || null
+        }));
+    }
+
+    /**
+     * Get a profile by id, or the default profile
+     */
+    getProfile(profileId) {
+        return this.profiles.find(p => p.id === profileId) ||
+            this.profiles.find(p => p.id === this.defaultProfileId) ||
+            this.profiles[0];
+    }
+
+    /**
+     * Build the rules of a profile, migrated and validated
+     * Returns { profileId, rules, source, fromVersion, problems }; source is 'saved' when the
+     * rules were edited in the panel, 'file' otherwise
+     */
+    async resolve(profileId) {
+        const profile = this.getProfile(profileId);
+        const { rules, source } = await this.resolveRules(profile);
+
+        const migrated = this.validator.migrate(rules);
+        const problems = this.validator.validate(migrated.rules);
+        return {
+            profileId: profile.id,
+            rules: migrated.rules,
+            source,
+            fromVersion: migrated.fromVersion,
+            problems
+        };
+    }
+
+    /**
+     * Merge a profile's rules over its parent's
+     * Rules saved from the editor replace the profile's rules, and profiles extending it inherit them
+     */
+    async resolveRules(profile) {
+        const saved = await this.store.load(profile.id);
+        if (saved) return { rules: saved, source: 'saved' };
+
+        let rules = {};
+        if (profile.extends) {
+            rules = (await this.resolveRules(this.getProfile(profile.extends))).rules;
+        }
+        if (profile.file) {
+            rules = this.mergeRules(rules, await this.loadRulesFile(profile.file));
+        }
+        if (profile.rules) {
+            rules = this.mergeRules(rules, profile.rules);
+        }
+        if (profile.name) {
+            rules = { ...rules, brandName: profile.name };
+        }
+        return { rules, source: 'file' };
+    }
+
+    /**
+     * Merge override rules into base rules
+     * Objects are merged key by key; lists and values replace the parent's, except lists
+     * of objects with ids on both sides (logo variants), which are merged item by item
+     */
+    mergeRules(base, override) {
+        const merged = { ...base };
+        for (const [key, value] of Object.entries(override)) {
+            if (this.isIdList(value) && this.isIdList(base[key])) {
+                merged[key] = this.mergeById(base[key], value);
+                continue;
+            }
+
+            const isObject = value && typeof value === 'object' && !Array.isArray(value);
+            const baseIsObject = base[key] && typeof base[key] === 'object' && !Array.isArray(base[key]);
+            merged[key] = isObject && baseIsObject
+                ? this.mergeRules(base[key], value)
+                : JSON.parse(JSON.stringify(value));
+        }
+        return merged;
+    }
+
+    /**
+     * Check if a value is a non-empty list of objects that all have an id
+     */
+    isIdList(value) {
+        return Array.isArray(value) && value.length > 0 &&
+            value.every(item => item && typeof item === 'object' && item.id !== undefined);
+    }
+
+    /**
+     * Merge items with the same id; items only in the override are added at the end
+     */
+    mergeById(base, override) {
+        const merged = base.map(item => {
+            const match = override.find(other => other.id === item.id);
+            return match ? this.mergeRules(item, match) : JSON.parse(JSON.stringify(item));
+        });
+        for (const item of override) {
+            if (!base.some(other => other.id === item.id)) merged.push(JSON.parse(JSON.stringify(item)));
+        }
+        return merged;
+    }
+
+    /**
+     * Load a rules file once per session
+     */
+    async loadRulesFile(file) {
+        if (!this.fileCache.has(file)) {
+            this.fileCache.set(file, await this.fetchJson(file));
+        }
+        return JSON.parse(JSON.stringify(this.fileCache.get(file)));
+    }
+
+    /**
+     * Get the profile a document was last checked with, or the default profile
+     */
+    async getDocumentProfile(documentId) {
+        const remembered = await this.store.getItem(DOCUMENT_PROFILES_KEY) || {};
+        const profileId = documentId ? remembered[documentId] : null;
+        return this.profiles.some(p => p.id === profileId) ? profileId : this.getProfile(null).id;
+    }
+
+    /**
+     * Remember the profile chosen for a document
+     */
+    async setDocumentProfile(documentId, profileId) {
+        if (!documentId) return;
+
+        const remembered = await this.store.getItem(DOCUMENT_PROFILES_KEY) || {};
+        remembered[documentId] = profileId;
+        await this.store.setItem(DOCUMENT_PROFILES_KEY, remembered);
+    }
+
+    /**
+     * Fetch and parse a JSON file next to the add-on
+     */
+    async fetchJson(file) {
+        const response = await fetch(file);
+        if (!response.ok) throw new Error(`${file}: HTTP ${response.status}`);
+        return response.json();
+    }
+}
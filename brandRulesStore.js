@@ -0,0 +1,109 @@
+/**
+ * Brand Rules Store
+ * Persists edited brand rules, per brand profile, in the add-on's client storage across sessions
+ */
+
+const BRAND_RULES_STORAGE_KEY = 'brandguard.brandRules';
+
+export class BrandRulesStore {
+    constructor(key = BRAND_RULES_STORAGE_KEY) {
+        this.key = key;
+    }
+
+    /**
+     * Get the storage to use: Express client storage, else the browser's localStorage
+     * Both are wrapped in the same async getItem/setItem/removeItem interface
+     */
+    getStorage() {
+        const clientStorage = window.express && window.express.clientStorage;
+        if (clientStorage) return clientStorage;
+
+        if (typeof localStorage !== 'undefined') {
+            return {
+                getItem: async key => {
+                    const value = localStorage.getItem(key);
+                    return value === null ? null : JSON.parse(value);
+                },
+                setItem: async (key, value) => localStorage.setItem(key, JSON.stringify(value)),
+                removeItem: async key => localStorage.removeItem(key)
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the storage key for a profile's rules
+     */
+    getKey(profileId) {
+        return `${this.key}.${profileId}`;
+    }
+
+    /**
+     * Load the saved brand rules of a profile, or null when none are saved
+     */
+    async load(profileId) {
+        return this.getItem(this.getKey(profileId));
+    }
+
+    /**
+     * Save a profile's brand rules; they are used instead of the profile's files from now on
+     */
+    async save(brandRules, profileId) {
+        await this.setItem(this.getKey(profileId), brandRules);
+    }
+
+    /**
+     * Remove a profile's saved brand rules, going back to its files
+     */
+    async clear(profileId) {
+        const storage = this.getStorage();
+        if (storage) await storage.removeItem(this.getKey(profileId));
+    }
+
+    /**
+     * Move rules saved before there were profiles (under the bare key) to a profile, once
+     * Rules the profile already has saved are kept; returns true if rules were moved
+     */
+    async migrateLegacyRules(profileId) {
+        const legacyRules = await this.getItem(this.key);
+        if (!legacyRules) return false;
+
+        try {
+            if (!await this.load(profileId)) {
+                await this.save(legacyRules, profileId);
+            }
+            await this.getStorage().removeItem(this.key);
+            return true;
+        } catch (error) {
+            console.error('Error moving saved brand rules to the default profile:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Read any stored value, or null when it is missing or storage is unavailable
+     */
+    async getItem(key) {
+        const storage = this.getStorage();
+        if (!storage) return null;
+
+        try {
+            const value = await storage.getItem(key);
+            return value || null;
+        } catch (error) {
+            console.error(`Error loading ${key} from client storage:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Store any value
+     */
+    async setItem(key, value) {
+        const storage = this.getStorage();
+        if (!storage) throw new Error('No client storage available');
+
+        await storage.setItem(key, value);
+    }
+}
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+/**
+ * BrandGuard CLI
+ * Checks exported SVG files and JSON document models against brand rules, e.g. in a CI pipeline:
+ *
+ *   brandguard --rules brandRules.json exports/ --threshold 80 --junit brandguard.xml
+ *
+ * Exits with 1 when a document scores below the threshold or cannot be checked, and
+ * with 2 when the rules or arguments are unusable
+ */
+
+import { readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import { basename, extname, join, relative, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { BatchChecker, DEFAULT_SCORE_THRESHOLD } from './batchChecker.js';
+import { RulesValidator } from './rulesValidator.js';
+import { SvgDocumentParser } from './svgDocumentParser.js';
+
+const CLI_EXTENSIONS = ['.svg', '.json'];
+
+const EXIT_PASSED = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: brandguard [options] <file or directory>...
+
+Checks .svg files and .json document models (searched recursively in directories)
+against brand rules and prints a score per document.
+
+Options:
+  -r, --rules <file>       Brand rules file (default: ./brandRules.json)
+  -t, --threshold <score>  Minimum passing score, 0-100 (default: ${DEFAULT_SCORE_THRESHOLD})
+      --json <file>        Write a JSON report
+      --junit <file>       Write a JUnit XML report
+  -h, --help               Show this help`;
+
+/**
+ * Run the CLI and return its exit code
+ */
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                rules: { type: 'string', short: 'r', default: './brandRules.json' },
+                threshold: { type: 'string', short: 't', default: String(DEFAULT_SCORE_THRESHOLD) },
+                json: { type: 'string' },
+                junit: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    const { values, positionals } = options;
+    if (values.help) {
+        console.log(USAGE);
+        return EXIT_PASSED;
+    }
+
+    const threshold = Number(values.threshold);
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+        console.error(`--threshold must be a score from 0 to 100, got ${values.threshold}`);
+        return EXIT_USAGE;
+    }
+    if (positionals.length === 0) {
+        console.error(`No files or directories to check\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    const brandRules = await loadBrandRules(values.rules);
+    if (!brandRules) return EXIT_USAGE;
+
+    // The rules and reports are not inputs, e.g. when they sit in the checked directory
+    const ownFiles = new Set([values.rules, values.json, values.junit].filter(Boolean).map(file => resolve(file)));
+    const files = (await collectFiles(positionals)).filter(file => !ownFiles.has(resolve(file)));
+    if (files.length === 0) {
+        console.error(`No ${CLI_EXTENSIONS.join(' or ')} files found in ${positionals.join(', ')}`);
+        return EXIT_USAGE;
+    }
+
+    const checker = new BatchChecker(brandRules, { threshold });
+    const results = [];
+    for (const file of files) {
+        let documents;
+        try {
+            documents = await loadDocuments(file, checker);
+        } catch (error) {
+            results.push(checker.createErrorResult(relative(process.cwd(), file), error));
+            continue;
+        }
+        for (const document of documents) {
+            results.push(await checker.checkDocument(document.name, document.model));
+        }
+    }
+    if (results.length === 0) {
+        console.error(`No document models found in ${positionals.join(', ')}`);
+        return EXIT_USAGE;
+    }
+    const batch = { results, summary: checker.summarize(results) };
+
+    printTable(batch);
+
+    if (values.json) await writeFile(values.json, checker.toJson(batch));
+    if (values.junit) await writeFile(values.junit, checker.toJunit(batch));
+
+    return batch.results.every(result => result.passed) ? EXIT_PASSED : EXIT_FAILED;
+}
+
+/**
+ * Read, migrate and validate the brand rules; print what is wrong and return null if they are unusable
+ */
+async function loadBrandRules(file) {
+    let rules;
+    try {
+        rules = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        console.error(`Could not read brand rules ${file}: ${error.message}`);
+        return null;
+    }
+
+    const validator = await RulesValidator.create();
+    const migrated = validator.migrate(rules);
+    const problems = validator.validate(migrated.rules);
+    if (problems.length > 0) {
+        console.error(`${file} is not valid:`);
+        for (const problem of problems) console.error(`  ${validator.formatError(problem)}`);
+        return null;
+    }
+    return migrated.rules;
+}
+
+/**
+ * Expand the arguments into the files to check, directories searched recursively, in name order
+ */
+async function collectFiles(paths) {
+    const files = [];
+    for (const path of paths) {
+        const info = await stat(path).catch(() => null);
+        if (!info) {
+            console.error(`Skipping ${path}: not found`);
+        } else if (info.isDirectory()) {
+            const entries = await readdir(path, { withFileTypes: true });
+            const children = entries
+                .filter(entry => entry.isDirectory() || CLI_EXTENSIONS.includes(extname(entry.name).toLowerCase()))
+                .map(entry => join(path, entry.name))
+                .sort();
+            files.push(...await collectFiles(children));
+        } else {
+            files.push(path);
+        }
+    }
+    return files;
+}
+
+/**
+ * Load the documents in a file: an SVG, or a JSON document model, a list of models,
+ * or { documents: [...] } as dumped from several documents
+ * JSON that holds no document models (batch reports, settings) is skipped with a warning
+ */
+async function loadDocuments(file, checker) {
+    const name = relative(process.cwd(), file);
+    const text = await readFile(file, 'utf8');
+
+    if (extname(file).toLowerCase() === '.svg') {
+        const model = new SvgDocumentParser().parse(text, { id: name, title: basename(file) });
+        return [{ name, model }];
+    }
+
+    const content = JSON.parse(text);
+    if (checker.isBatchReport(content)) {
+        console.warn(`Skipping ${name}: a BrandGuard batch report`);
+        return [];
+    }
+
+    const models = Array.isArray(content) ? content
+        : (content && Array.isArray(content.documents) ? content.documents : [content]);
+    const documents = [];
+    models.forEach((model, index) => {
+        const documentName = models.length > 1 ? `${name}#${(model && model.id) || index + 1}` : name;
+        if (checker.isDocumentModel(model)) {
+            documents.push({ name: documentName, model });
+        } else {
+            console.warn(`Skipping ${documentName}: not a document model (no "pages" or "layers")`);
+        }
+    });
+    return documents;
+}
+
+/**
+ * Print a score table with the violation count of each category, and a summary line
+ */
+function printTable(batch) {
+    const header = ['Document', 'Score', 'Colors', 'Fonts', 'Logo', 'Contrast', 'Result'];
+    const rows = batch.results.map(result => result.error
+        ? [result.name, '-', '-', '-', '-', '-', `ERROR: ${result.error}`]
+        : [
+            result.name,
+            String(result.score),
+            ...['colors', 'fonts', 'logo', 'contrast'].map(category => String(result.violationCounts[category])),
+            result.passed ? 'PASS' : 'FAIL'
+        ]);
+
+    // The result column is last and not padded, so error messages do not widen the table
+    const widths = header.map((title, column) => column === header.length - 1
+        ? title.length
+        : Math.max(title.length, ...rows.map(row => row[column].length)));
+    const format = row => row.map((cell, column) => {
+        if (column === row.length - 1) return cell;
+        return column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]);
+    }).join('  ');
+
+    console.log(format(header));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    rows.forEach(row => console.log(format(row)));
+
+    const { documents, passed, failed, errors, averageScore, threshold } = batch.summary;
+    console.log(`\n${documents} document(s): ${passed} passed, ${failed} below ${threshold}` +
+        `${errors ? `, ${errors} could not be checked` : ''}` +
+        `${averageScore !== null ? `; average score ${averageScore}` : ''}`);
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(error);
+    process.exitCode = EXIT_USAGE;
+});
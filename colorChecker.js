@@ -3,15 +3,49 @@
  * Checks document colors against brand guidelines and auto-fixes violations
  */
 
-class ColorChecker {
-    constructor(brandRules) {
+import { DocumentWalker } from './documentWalker.js';
+import { FixJournal } from './fixJournal.js';
+
+const DISTANCE_MODELS = ['rgb', 'cie76', 'cie94', 'ciede2000'];
+
+// Tolerance when the rules set none: RGB units for 'rgb', ΔE units for the Lab models
+const DEFAULT_TOLERANCES = { rgb: 10, cie76: 5, cie94: 3, ciede2000: 3 };
+
+export class ColorChecker {
+    constructor(brandRules, adapter) {
         this.brandRules = brandRules;
-        this.approvedColors = brandRules.colors.approved.map(c => ({
-            name: c.name,
-            hex: c.hex.toUpperCase(),
-            rgb: this.hexToRgb(c.hex)
-        }));
-        this.tolerance = brandRules.colors.tolerance || 10;
+        this.adapter = adapter;
+        this.distanceModel = this.resolveDistanceModel(brandRules.colors.distanceModel);
+        this.approvedColors = brandRules.colors.approved.map(c => {
+            const rgb = this.hexToRgb(c.hex);
+            return {
+                name: c.name,
+                hex: c.hex.toUpperCase(),
+                usage: c.usage,
+                rgb,
+                lab: rgb ? this.rgbToLab(rgb) : null
+            };
+        });
+        // Tolerance is in RGB units for the 'rgb' model, ΔE units otherwise; 0 means exact matches only
+        this.tolerance = brandRules.colors.tolerance ?? DEFAULT_TOLERANCES[this.distanceModel];
+        // Which swatch usages each role may draw from; no rules = usage is not enforced
+        this.usageRules = brandRules.colors.usageRules || null;
+        this.walker = new DocumentWalker();
+        this.journal = new FixJournal(adapter);
+    }
+
+    /**
+     * Validate the configured distance model, defaulting to plain RGB
+     */
+    resolveDistanceModel(model) {
+        if (!model) return 'rgb';
+
+        const normalized = String(model).toLowerCase();
+        if (!DISTANCE_MODELS.includes(normalized)) {
+            console.warn(`Unknown color distance model "${model}", falling back to rgb`);
+            return 'rgb';
+        }
+        return normalized;
     }
 
     /**
@@ -27,9 +61,52 @@ class ColorChecker {
     }
 
     /**
-     * Calculate color distance using Euclidean distance in RGB space
+     * Convert RGB (0-255) to CIE L*a*b* using the D65 white point
+     */
+    rgbToLab(rgb) {
+        // sRGB companding -> linear RGB
+        const linear = [rgb.r, rgb.g, rgb.b].map(v => {
+            const c = v / 255;
+            return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+
+        // Linear RGB -> XYZ, normalized by the D65 reference white
+        const x = (linear[0] * 0.4124564 + linear[1] * 0.3575761 + linear[2] * 0.1804375) / 0.95047;
+        const y = (linear[0] * 0.2126729 + linear[1] * 0.7151522 + linear[2] * 0.0721750) / 1.00000;
+        const z = (linear[0] * 0.0193339 + linear[1] * 0.1191920 + linear[2] * 0.9503041) / 1.08883;
+
+        const f = t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+        const fx = f(x);
+        const fy = f(y);
+        const fz = f(z);
+
+        return {
+            l: 116 * fy - 16,
+            a: 500 * (fx - fy),
+            b: 200 * (fy - fz)
+        };
+    }
+
+    /**
+     * Calculate color distance using the configured distance model
      */
     colorDistance(rgb1, rgb2) {
+        switch (this.distanceModel) {
+            case 'cie76':
+                return this.deltaE76(this.rgbToLab(rgb1), this.rgbToLab(rgb2));
+            case 'cie94':
+                return this.deltaE94(this.rgbToLab(rgb1), this.rgbToLab(rgb2));
+            case 'ciede2000':
+                return this.deltaE2000(this.rgbToLab(rgb1), this.rgbToLab(rgb2));
+            default:
+                return this.rgbDistance(rgb1, rgb2);
+        }
+    }
+
+    /**
+     * Euclidean distance in RGB space
+     */
+    rgbDistance(rgb1, rgb2) {
         const dr = rgb1.r - rgb2.r;
         const dg = rgb1.g - rgb2.g;
         const db = rgb1.b - rgb2.b;
@@ -37,9 +114,137 @@ class ColorChecker {
     }
 
     /**
-     * Find closest approved brand color
+     * CIE76: Euclidean distance in Lab space
+     */
+    deltaE76(lab1, lab2) {
+        const dl = lab1.l - lab2.l;
+        const da = lab1.a - lab2.a;
+        const db = lab1.b - lab2.b;
+        return Math.sqrt(dl * dl + da * da + db * db);
+    }
+
+    /**
+     * CIE94 with graphic arts weighting (kL = 1, K1 = 0.045, K2 = 0.015)
+     */
+    deltaE94(lab1, lab2) {
+        const dl = lab1.l - lab2.l;
+        const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+        const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+        const dc = c1 - c2;
+        const da = lab1.a - lab2.a;
+        const db = lab1.b - lab2.b;
+        // ΔH² can go slightly negative through rounding
+        const dh2 = Math.max(0, da * da + db * db - dc * dc);
+
+        const sc = 1 + 0.045 * c1;
+        const sh = 1 + 0.015 * c1;
+
+        return Math.sqrt(
+            dl * dl +
+            (dc / sc) * (dc / sc) +
+            dh2 / (sh * sh)
+        );
+    }
+
+    /**
+     * CIEDE2000 (Sharma, Wu & Dalal reference implementation)
+     */
+    deltaE2000(lab1, lab2) {
+        const rad = deg => deg * Math.PI / 180;
+        const deg = r => r * 180 / Math.PI;
+        const pow7 = v => Math.pow(v, 7);
+
+        const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+        const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+        const cBar = (c1 + c2) / 2;
+        const g = 0.5 * (1 - Math.sqrt(pow7(cBar) / (pow7(cBar) + pow7(25))));
+
+        const a1p = (1 + g) * lab1.a;
+        const a2p = (1 + g) * lab2.a;
+        const c1p = Math.sqrt(a1p * a1p + lab1.b * lab1.b);
+        const c2p = Math.sqrt(a2p * a2p + lab2.b * lab2.b);
+
+        const hueAngle = (b, ap) => {
+            if (b === 0 && ap === 0) return 0;
+            const h = deg(Math.atan2(b, ap));
+            return h >= 0 ? h : h + 360;
+        };
+        const h1p = hueAngle(lab1.b, a1p);
+        const h2p = hueAngle(lab2.b, a2p);
+
+        const dLp = lab2.l - lab1.l;
+        const dCp = c2p - c1p;
+
+        let dhp = 0;
+        if (c1p * c2p !== 0) {
+            dhp = h2p - h1p;
+            if (dhp > 180) dhp -= 360;
+            else if (dhp < -180) dhp += 360;
+        }
+        const dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(rad(dhp / 2));
+
+        const lBarP = (lab1.l + lab2.l) / 2;
+        const cBarP = (c1p + c2p) / 2;
+
+        let hBarP = h1p + h2p;
+        if (c1p * c2p !== 0) {
+            if (Math.abs(h1p - h2p) <= 180) {
+                hBarP = (h1p + h2p) / 2;
+            } else if (h1p + h2p < 360) {
+                hBarP = (h1p + h2p + 360) / 2;
+            } else {
+                hBarP = (h1p + h2p - 360) / 2;
+            }
+        }
+
+        const t = 1 -
+            0.17 * Math.cos(rad(hBarP - 30)) +
+            0.24 * Math.cos(rad(2 * hBarP)) +
+            0.32 * Math.cos(rad(3 * hBarP + 6)) -
+            0.20 * Math.cos(rad(4 * hBarP - 63));
+
+        const dTheta = 30 * Math.exp(-Math.pow((hBarP - 275) / 25, 2));
+        const rc = 2 * Math.sqrt(pow7(cBarP) / (pow7(cBarP) + pow7(25)));
+        const lBarMinus50Sq = (lBarP - 50) * (lBarP - 50);
+        const sl = 1 + (0.015 * lBarMinus50Sq) / Math.sqrt(20 + lBarMinus50Sq);
+        const sc = 1 + 0.045 * cBarP;
+        const sh = 1 + 0.015 * cBarP * t;
+        const rt = -Math.sin(rad(2 * dTheta)) * rc;
+
+        return Math.sqrt(
+            Math.pow(dLp / sl, 2) +
+            Math.pow(dCp / sc, 2) +
+            Math.pow(dHp / sh, 2) +
+            rt * (dCp / sc) * (dHp / sh)
+        );
+    }
+
+    /**
+     * Distance from a color to an approved brand color, reusing its cached Lab value
+     */
+    distanceToBrandColor(targetRgb, brandColor) {
+        if (this.distanceModel === 'rgb' || !brandColor.lab) {
+            return this.colorDistance(targetRgb, brandColor.rgb);
+        }
+
+        const targetLab = this.rgbToLab(targetRgb);
+        if (this.distanceModel === 'cie76') return this.deltaE76(targetLab, brandColor.lab);
+        if (this.distanceModel === 'cie94') return this.deltaE94(targetLab, brandColor.lab);
+        return this.deltaE2000(targetLab, brandColor.lab);
+    }
+
+    /**
+     * Find closest approved brand color, optionally limited to a set of usages
+     */
+    findClosestBrandColor(hex, allowedUsages = null) {
+        const match = this.findClosestBrandColorMatch(hex, allowedUsages);
+        return match ? match.color : null;
+    }
+
+    /**
+     * Find closest approved brand color along with its distance
      */
-    findClosestBrandColor(hex) {
+    findClosestBrandColorMatch(hex, allowedUsages = null) {
         const targetRgb = this.hexToRgb(hex);
         if (!targetRgb) return null;
 
@@ -47,14 +252,16 @@ class ColorChecker {
         let closestColor = null;
 
         for (const brandColor of this.approvedColors) {
-            const distance = this.colorDistance(targetRgb, brandColor.rgb);
+            if (!brandColor.rgb) continue;
+            if (allowedUsages && !allowedUsages.includes(brandColor.usage)) continue;
+            const distance = this.distanceToBrandColor(targetRgb, brandColor);
             if (distance < minDistance) {
                 minDistance = distance;
                 closestColor = brandColor;
             }
         }
 
-        return closestColor;
+        return closestColor ? { color: closestColor, distance: minDistance } : null;
     }
 
     /**
@@ -65,7 +272,8 @@ class ColorChecker {
         if (!targetRgb) return false;
 
         for (const brandColor of this.approvedColors) {
-            const distance = this.colorDistance(targetRgb, brandColor.rgb);
+            if (!brandColor.rgb) continue;
+            const distance = this.distanceToBrandColor(targetRgb, brandColor);
             if (distance <= this.tolerance) {
                 return true;
             }
@@ -74,66 +282,204 @@ class ColorChecker {
         return false;
     }
 
+    /**
+     * Determine the usage role a color plays on a layer
+     * Roles: 'text', 'stroke', 'effect', 'largeFill' (covers a large share of the canvas) or 'fill'
+     */
+    getUsageRole(layer, type, documentArea, location = null) {
+        if (type === 'text' || type === 'text-range') return 'text';
+        if (type === 'stroke' || type === 'effect') return type;
+        if (type === 'gradient-stop' && location && location.property === 'stroke') return 'stroke';
+
+        const rules = this.usageRules || {};
+        const threshold = rules.largeFillMinArea ?? 0.25;
+        const bounds = layer.bounds;
+        if (bounds && documentArea > 0) {
+            const coverage = (bounds.width * bounds.height) / documentArea;
+            if (coverage >= threshold) return 'largeFill';
+        }
+        return 'fill';
+    }
+
+    /**
+     * Get the swatch usages allowed for a role, or null when usage is not enforced
+     */
+    getAllowedUsages(role) {
+        if (!this.usageRules) return null;
+
+        const allowed = this.usageRules[role] ||
+            (role === 'largeFill' ? this.usageRules.fill : null);
+        return Array.isArray(allowed) ? allowed : null;
+    }
+
+    /**
+     * Check a single color against the palette and usage rules
+     * Returns a violation entry, or null if the color is compliant
+     */
+    checkColor(layer, type, hex, role, location = null) {
+        const match = this.findClosestBrandColorMatch(hex);
+        const allowedUsages = this.getAllowedUsages(role);
+
+        if (match && match.distance <= this.tolerance) {
+            if (!allowedUsages || allowedUsages.includes(match.color.usage)) {
+                return null;
+            }
+            return this.createViolation(layer, type, hex, {
+                violationType: 'wrong-usage',
+                role,
+                allowedUsages,
+                matchedBrandColor: match.color,
+                location
+            });
+        }
+
+        return this.createViolation(layer, type, hex, {
+            violationType: 'unapproved',
+            role,
+            allowedUsages,
+            location
+        });
+    }
+
+    /**
+     * Build a violation entry, reporting the distance model used to match it
+     * The suggested replacement is limited to the usages allowed for the role
+     */
+    createViolation(layer, type, hex, details = {}) {
+        const allowedUsages = details.allowedUsages || null;
+        const match = this.findClosestBrandColorMatch(hex, allowedUsages) ||
+            this.findClosestBrandColorMatch(hex);
+        return {
+            layerId: layer.id,
+            layerName: layer.name || 'Unnamed Layer',
+            type,
+            violationType: details.violationType || 'unapproved',
+            role: details.role || type,
+            allowedUsages,
+            matchedBrandColor: details.matchedBrandColor || null,
+            location: details.location || null,
+            locationLabel: this.describeLocation(type, details.location),
+            currentColor: hex,
+            closestBrandColor: match ? match.color : null,
+            distance: match ? Math.round(match.distance * 100) / 100 : null,
+            distanceModel: this.distanceModel
+        };
+    }
+
+    /**
+     * Human-readable description of where a color sits on a layer
+     */
+    describeLocation(type, location) {
+        if (!location) return type;
+
+        switch (type) {
+            case 'gradient-stop':
+                return `${location.property} gradient stop ${location.stopIndex + 1}`;
+            case 'effect':
+                return `${location.effectType || 'effect'} ${location.effectIndex + 1}`;
+            case 'text-range':
+                return `text characters ${location.start + 1}-${location.start + location.length}`;
+            default:
+                return type;
+        }
+    }
+
+    /**
+     * Get gradient stops for a fill or stroke, if it is a gradient
+     */
+    getGradientStops(paint) {
+        if (!paint) return [];
+        const stops = (paint.gradient && paint.gradient.stops) || paint.stops;
+        return Array.isArray(stops) ? stops : [];
+    }
+
+    /**
+     * Get styled text ranges with their start offsets
+     * Ranges are stored back to back, so each start is the sum of the preceding lengths
+     */
+    getTextRanges(layer) {
+        const ranges = layer.characterStyleRanges;
+        if (!Array.isArray(ranges)) return [];
+
+        let start = 0;
+        return ranges.map(range => {
+            const entry = { start, length: range.length || 0, color: range.color };
+            start += entry.length;
+            return entry;
+        });
+    }
+
     /**
      * Extract all colors from the document
-     * Uses Adobe Express document APIs
+     * Reads the document through the adapter; `options.layerIds` limits the check to those layers
      */
-    async extractDocumentColors() {
+    async extractDocumentColors(options = {}) {
         try {
-            // Access Express document API
-            const document = await window.express.document.getDocument();
+            const document = await this.adapter.getDocument();
             const colors = new Set();
             const colorViolations = [];
 
-            // Get all layers
-            const layers = await document.getLayers();
+            // Walk every layer on every page, including nested groups and artboards
+            const entries = await this.walker.collect(document);
+
+            const checkLayerColor = (entry, type, color, location = null) => {
+                const hex = this.rgbToHex(color);
+                colors.add(hex);
+
+                const canvas = entry.canvasBounds;
+                const canvasArea = canvas ? (canvas.width || 0) * (canvas.height || 0) : 0;
+                const role = this.getUsageRole(entry.layer, type, canvasArea, location);
+                const violation = this.checkColor(entry.layer, type, hex, role, location);
+                if (violation) {
+                    colorViolations.push({ ...violation, ...this.walker.describe(entry) });
+                }
+            };
             
-            for (const layer of layers) {
-                // Check fill colors
-                if (layer.fill && layer.fill.color) {
-                    const hex = this.rgbToHex(layer.fill.color);
-                    colors.add(hex);
-                    
-                    if (!this.isColorApproved(hex)) {
-                        colorViolations.push({
-                            layerId: layer.id,
-                            layerName: layer.name || 'Unnamed Layer',
-                            type: 'fill',
-                            currentColor: hex,
-                            closestBrandColor: this.findClosestBrandColor(hex)
-                        });
+            for (const entry of entries) {
+                const layer = entry.layer;
+                if (options.layerIds && !options.layerIds.has(layer.id)) continue;
+
+                // Check fill and stroke colors, including every gradient stop
+                for (const property of ['fill', 'stroke']) {
+                    const paint = layer[property];
+                    if (!paint) continue;
+
+                    if (paint.color) {
+                        checkLayerColor(entry, property, paint.color);
                     }
+
+                    this.getGradientStops(paint).forEach((stop, stopIndex) => {
+                        if (stop && stop.color) {
+                            checkLayerColor(entry, 'gradient-stop', stop.color, { property, stopIndex });
+                        }
+                    });
                 }
 
-                // Check stroke colors
-                if (layer.stroke && layer.stroke.color) {
-                    const hex = this.rgbToHex(layer.stroke.color);
-                    colors.add(hex);
-                    
-                    if (!this.isColorApproved(hex)) {
-                        colorViolations.push({
-                            layerId: layer.id,
-                            layerName: layer.name || 'Unnamed Layer',
-                            type: 'stroke',
-                            currentColor: hex,
-                            closestBrandColor: this.findClosestBrandColor(hex)
-                        });
-                    }
+                // Check effect colors (drop shadows, glows)
+                if (Array.isArray(layer.effects)) {
+                    layer.effects.forEach((effect, effectIndex) => {
+                        if (effect && effect.color) {
+                            checkLayerColor(entry, 'effect', effect.color, {
+                                effectIndex,
+                                effectType: effect.type
+                            });
+                        }
+                    });
                 }
 
-                // Check text colors
-                if (layer.type === 'text' && layer.textColor) {
-                    const hex = this.rgbToHex(layer.textColor);
-                    colors.add(hex);
-                    
-                    if (!this.isColorApproved(hex)) {
-                        colorViolations.push({
-                            layerId: layer.id,
-                            layerName: layer.name || 'Unnamed Layer',
-                            type: 'text',
-                            currentColor: hex,
-                            closestBrandColor: this.findClosestBrandColor(hex)
-                        });
+                // Check text colors, per styled range when the text is rich
+                if (layer.type === 'text') {
+                    const ranges = this.getTextRanges(layer);
+                    if (ranges.length > 0) {
+                        for (const range of ranges) {
+                            if (!range.color) continue;
+                            checkLayerColor(entry, 'text-range', range.color, {
+                                start: range.start,
+                                length: range.length
+                            });
+                        }
+                    } else if (layer.textColor) {
+                        checkLayerColor(entry, 'text', layer.textColor);
                     }
                 }
             }
@@ -144,6 +490,7 @@ class ColorChecker {
                 isCompliant: colorViolations.length === 0
             };
         } catch (error) {
+            if (!this.adapter.demoFallback) throw error;
             console.error('Error extracting document colors:', error);
             // Fallback for demo purposes
             return this.getMockColorData();
@@ -166,49 +513,155 @@ class ColorChecker {
         }).join('')}`.toUpperCase();
     }
 
+    /**
+     * Plan the changes that fix color violations without touching the document
+     * Each change records the layer, the color property, and the old and new hex
+     */
+    planColorFixes(violations) {
+        return violations
+            .filter(violation => violation.closestBrandColor)
+            .map((violation, index) => ({
+                id: `colors-${index + 1}`,
+                category: 'colors',
+                layerId: violation.layerId,
+                layerName: violation.layerName,
+                pageName: violation.pageName,
+                layerPath: violation.layerPath,
+                property: violation.locationLabel || violation.type,
+                oldValue: violation.currentColor,
+                newValue: violation.closestBrandColor.hex,
+                violation
+            }));
+    }
+
     /**
      * Fix color violations by replacing with closest brand colors
+     * With options.dryRun the planned changes are returned and nothing is applied;
+     * violations options.isIgnored returns true for are not fixed
      */
-    async fixColorViolations() {
+    async fixColorViolations(options = {}) {
         try {
             const colorData = await this.extractDocumentColors();
-            let fixedCount = 0;
 
-            if (colorData.violations.length === 0) {
-                return { fixed: 0, message: 'No color violations found' };
+            // Violations the user ignored are left as they are
+            const violations = options.isIgnored
+                ? colorData.violations.filter(violation => !options.isIgnored(violation))
+                : colorData.violations;
+            if (violations.length === 0) {
+                return { fixed: 0, message: 'No color violations found', changes: [] };
             }
 
-            const document = await window.express.document.getDocument();
-            const layers = await document.getLayers();
+            const changes = this.planColorFixes(violations);
+            if (options.dryRun) {
+                return {
+                    fixed: 0,
+                    dryRun: true,
+                    message: `${changes.length} color change(s) planned`,
+                    changes
+                };
+            }
 
-            for (const violation of colorData.violations) {
-                const layer = layers.find(l => l.id === violation.layerId);
-                if (!layer || !violation.closestBrandColor) continue;
+            return await this.applyColorChanges(changes);
+        } catch (error) {
+            if (!this.adapter.demoFallback) throw error;
+            console.error('Error fixing color violations:', error);
+            // Fallback for demo
+            return this.journal.getDemoFixResult(
+                'colors',
+                options,
+                this.planColorFixes(this.getMockColorData().violations)
+            );
+        }
+    }
 
-                const replacementRgb = violation.closestBrandColor.rgb;
+    /**
+     * Apply planned color changes, e.g. the ones a user accepted in the preview
+     */
+    async applyColorChanges(changes) {
+        const document = await this.adapter.getDocument();
+        const entries = await this.walker.collect(document);
+        const applied = [];
+
+        this.journal.beginRun('Fix colors');
+        try {
+            for (const change of changes) {
+                const layer = this.walker.findLayer(entries, change.layerId);
+                const replacement = this.hexToRgb(change.newValue);
+                if (!layer || !replacement) continue;
 
                 try {
-                    if (violation.type === 'fill' && layer.fill) {
-                        await layer.setFillColor(replacementRgb);
-                    } else if (violation.type === 'stroke' && layer.stroke) {
-                        await layer.setStrokeColor(replacementRgb);
-                    } else if (violation.type === 'text' && layer.type === 'text') {
-                        await layer.setTextColor(replacementRgb);
+                    if (await this.applyColorFix(layer, change.violation, replacement)) {
+                        applied.push(change);
                     }
-                    fixedCount++;
                 } catch (error) {
-                    console.warn(`Could not fix color for layer ${violation.layerName}:`, error);
+                    console.warn(`Could not fix color for layer ${change.layerName}:`, error);
                 }
             }
+        } finally {
+            this.journal.endRun();
+        }
 
-            return {
-                fixed: fixedCount,
-                message: `Fixed ${fixedCount} color violation(s)`
-            };
-        } catch (error) {
-            console.error('Error fixing color violations:', error);
-            // Fallback for demo
-            return this.getMockFixResult('colors');
+        return {
+            fixed: applied.length,
+            message: `Fixed ${applied.length} color violation(s)`,
+            changes: applied
+        };
+    }
+
+    /**
+     * Rewrite the single color a violation points at
+     * Gradient stops, effects and text ranges are updated individually so the
+     * rest of the layer keeps its styling
+     */
+    async applyColorFix(layer, violation, replacementRgb) {
+        const location = violation.location || {};
+
+        switch (violation.type) {
+            case 'fill':
+                if (!layer.fill) return false;
+                await this.journal.apply(layer, 'setFillColor', [replacementRgb], [layer.fill.color]);
+                return true;
+            case 'stroke':
+                if (!layer.stroke) return false;
+                await this.journal.apply(layer, 'setStrokeColor', [replacementRgb], [layer.stroke.color]);
+                return true;
+            case 'text':
+                if (layer.type !== 'text') return false;
+                await this.journal.apply(layer, 'setTextColor', [replacementRgb], [layer.textColor]);
+                return true;
+            case 'gradient-stop': {
+                const stop = this.getGradientStops(layer[location.property])[location.stopIndex];
+                await this.journal.apply(
+                    layer,
+                    'setGradientStopColor',
+                    [location.property, location.stopIndex, replacementRgb],
+                    [location.property, location.stopIndex, stop && stop.color]
+                );
+                return true;
+            }
+            case 'effect': {
+                const effect = (layer.effects || [])[location.effectIndex];
+                await this.journal.apply(
+                    layer,
+                    'setEffectColor',
+                    [location.effectIndex, replacementRgb],
+                    [location.effectIndex, effect && effect.color]
+                );
+                return true;
+            }
+            case 'text-range': {
+                if (layer.type !== 'text') return false;
+                const range = this.getTextRanges(layer).find(r => r.start === location.start);
+                await this.journal.apply(
+                    layer,
+                    'setTextRangeColor',
+                    [location.start, location.length, replacementRgb],
+                    [location.start, location.length, range && range.color]
+                );
+                return true;
+            }
+            default:
+                return false;
         }
     }
 
@@ -218,13 +671,7 @@ class ColorChecker {
     getMockColorData() {
         // Simulate some violations for demo
         const mockViolations = [
-            {
-                layerId: 'layer1',
-                layerName: 'Background',
-                type: 'fill',
-                currentColor: '#FF0000',
-                closestBrandColor: this.findClosestBrandColor('#FF0000')
-            }
+            this.checkColor({ id: 'layer1', name: 'Background' }, 'fill', '#FF0000', 'fill')
         ];
 
         return {
@@ -233,12 +680,5 @@ class ColorChecker {
             isCompliant: false
         };
     }
-
-    getMockFixResult(type) {
-        return {
-            fixed: 1,
-            message: `Fixed 1 ${type} violation (demo mode)`
-        };
-    }
 }
 
@@ -3,29 +3,104 @@
  * Orchestrates all compliance checks and calculates overall score
  */
 
-class ComplianceChecker {
-    constructor(brandRules) {
+import { ColorChecker } from './colorChecker.js';
+import { ContrastChecker } from './contrastChecker.js';
+import { DocumentWalker } from './documentWalker.js';
+import { FixJournal } from './fixJournal.js';
+import { FontChecker } from './fontChecker.js';
+import { LogoChecker } from './logoChecker.js';
+
+const SCORE_CATEGORIES = ['colors', 'fonts', 'logo', 'contrast'];
+
+// Contrast is fixed after colors, which may have changed text or fill colors
+const FIX_ORDER = ['colors', 'contrast', 'fonts', 'logo'];
+
+// Used when brandRules.scoring does not define its own values
+const DEFAULT_SEVERITY_POINTS = { error: 10, warning: 5, info: 0 };
+const DEFAULT_MAX_DEDUCTION = 30;
+const DEFAULT_SCORE_BANDS = [
+    { min: 90, label: 'Excellent' },
+    { min: 70, label: 'Good' },
+    { min: 50, label: 'Needs Improvement', status: 'warning' },
+    { min: 30, label: 'Poor', status: 'error' },
+    { min: 0, label: 'Critical', status: 'error' }
+];
+
+export class ComplianceChecker {
+    /**
+     * `adapter` is the DocumentAdapter of the document to check, e.g. the Express document
+     * in the panel or a JSON document model in Node
+     */
+    constructor(brandRules, adapter) {
+        this.adapter = adapter;
+
+        // One journal for every checker, so a Fix All is a single undoable run
+        this.journal = new FixJournal(adapter);
+
+        // Violations the user chose to ignore, by violation key
+        this.ignored = new Set();
+        this.walker = new DocumentWalker();
+
+        this.setBrandRules(brandRules);
+    }
+
+    /**
+     * Switch to new brand rules, e.g. after they were edited
+     * Undo history and ignored violations are kept
+     */
+    setBrandRules(brandRules) {
         this.brandRules = brandRules;
-        this.colorChecker = new ColorChecker(brandRules);
-        this.fontChecker = new FontChecker(brandRules);
-        this.logoChecker = new LogoChecker(brandRules);
+        this.scoringRules = brandRules.scoring || {};
+        this.colorChecker = new ColorChecker(brandRules, this.adapter);
+        this.fontChecker = new FontChecker(brandRules, this.adapter);
+        this.logoChecker = new LogoChecker(brandRules, this.adapter);
+        this.contrastChecker = new ContrastChecker(brandRules, this.adapter);
+
+        for (const checker of [this.colorChecker, this.fontChecker, this.logoChecker, this.contrastChecker]) {
+            checker.journal = this.journal;
+        }
+
+        // Color and font results of the last check, merged into by incremental checks
+        this.lastResults = null;
     }
 
     /**
      * Run all compliance checks
+     * Ignored violations are left out of every category and the score
+     * With `options.layerIds`, colors and fonts are re-checked only for those layers and
+     * merged with the previous results; logo and contrast depend on neighbouring layers
+     * and are always checked in full
      */
-    async checkAll() {
-        const [colorData, fontData, logoData] = await Promise.all([
-            this.colorChecker.extractDocumentColors(),
-            this.fontChecker.extractDocumentFonts(),
-            this.logoChecker.validateLogo()
+    async checkAll(options = {}) {
+        const layerIds = options.layerIds && this.lastResults ? new Set(options.layerIds) : null;
+        const scope = layerIds ? { layerIds } : {};
+
+        const [colorResult, fontResult, logo, contrast] = await Promise.all([
+            this.colorChecker.extractDocumentColors(scope),
+            this.fontChecker.extractDocumentFonts(scope),
+            this.logoChecker.validateLogo(),
+            this.contrastChecker.checkDocumentContrast()
         ]);
+        const colors = layerIds ? this.mergeLayerResults(this.lastResults.colors, colorResult, layerIds) : colorResult;
+        const fonts = layerIds ? this.mergeLayerResults(this.lastResults.fonts, fontResult, layerIds) : fontResult;
+
+        // Unfiltered results, so incremental checks keep ignored violations ignored
+        this.lastResults = { colors, fonts };
+
+        const colorData = this.filterIgnored('colors', colors);
+        const fontData = this.filterIgnored('fonts', fonts);
+        const logoData = this.filterIgnored('logo', logo);
+        const contrastData = this.filterIgnored('contrast', contrast);
 
         return {
+            checkedAt: new Date().toISOString(),
+            incremental: Boolean(layerIds),
             colors: {
                 isCompliant: colorData.isCompliant,
                 violations: colorData.violations,
                 violationCount: colorData.violations.length,
+                ignoredCount: colorData.ignoredCount,
+                byPage: this.groupByPage(colorData.violations),
                 details: colorData.isCompliant 
                     ? 'All colors match brand guidelines'
                     : `${colorData.violations.length} color violation(s) found`
@@ -34,86 +109,469 @@ class ComplianceChecker {
                 isCompliant: fontData.isCompliant,
                 violations: fontData.violations,
                 violationCount: fontData.violations.length,
+                ignoredCount: fontData.ignoredCount,
+                byPage: this.groupByPage(fontData.violations),
                 details: fontData.isCompliant
                     ? 'All fonts are brand-approved'
-                    : `${fontData.violations.length} font violation(s) found`
+                    : `${fontData.violations.length} font violation(s) found` +
+                        this.describeFontReplacements(fontData.violations)
             },
             logo: {
                 isCompliant: logoData.isCompliant,
                 violations: logoData.violations || [],
-                violationCount: logoData.found ? (logoData.violations?.length || 0) : 1,
+                violationCount: logoData.found ? (logoData.violations?.length || 0) : logoData.violations.length,
+                ignoredCount: logoData.ignoredCount,
+                pageName: logoData.pageName || null,
+                layerPath: logoData.layerPath || null,
+                instances: logoData.instances || [],
+                issues: logoData.issues || [],
                 details: !logoData.found
                     ? 'Logo not found in document'
                     : logoData.isCompliant
-                        ? 'Logo placement and size are correct'
-                        : `${logoData.violations?.length || 0} logo violation(s) found`
+                        ? `Logo placement and size are correct (${this.describeLogoVariants(logoData.instances)})`
+                        : `${logoData.violations?.length || 0} logo violation(s) found ` +
+                            `(${this.describeLogoVariants(logoData.instances)})`
+            },
+            contrast: {
+                isCompliant: contrastData.isCompliant,
+                violations: contrastData.violations,
+                violationCount: contrastData.violations.length,
+                ignoredCount: contrastData.ignoredCount,
+                byPage: this.groupByPage(contrastData.violations),
+                details: contrastData.isCompliant
+                    ? `All text meets WCAG ${this.contrastChecker.level} contrast`
+                    : `${contrastData.violations.length} text layer(s) below WCAG ${this.contrastChecker.level} contrast`
+            }
+        };
+    }
+
+    /**
+     * Replace the violations of re-checked layers in a previous result
+     * Layers that were deleted have no fresh violations, so theirs are dropped
+     */
+    mergeLayerResults(previous, fresh, layerIds) {
+        const violations = [
+            ...previous.violations.filter(violation => !layerIds.has(violation.layerId)),
+            ...fresh.violations
+        ];
+        const merged = { ...previous, ...fresh, violations, isCompliant: violations.length === 0 };
+
+        for (const key of ['allColors', 'allFonts']) {
+            if (previous[key]) merged[key] = [...new Set([...previous[key], ...(fresh[key] || [])])];
+        }
+        return merged;
+    }
+
+    /**
+     * Build the key a violation is ignored by
+     * It names the layer and what is wrong, so the same problem stays ignored across checks
+     */
+    getViolationKey(category, violation) {
+        switch (category) {
+            case 'colors':
+                return `colors|${violation.layerId}|${violation.violationType}|${violation.locationLabel || violation.type}`;
+            case 'fonts':
+                return `fonts|${violation.layerId}|${violation.violationType}`;
+            case 'logo':
+                return `logo|${violation.layerId || ''}|${violation.type}`;
+            case 'contrast':
+                return `contrast|${violation.layerId}${violation.locationLabel ? `|${violation.locationLabel}` : ''}`;
+            default:
+                return `${category}|${violation.layerId}`;
+        }
+    }
+
+    /**
+     * Ignore a violation until the ignore list is cleared
+     */
+    ignoreViolation(category, violation) {
+        this.ignored.add(this.getViolationKey(category, violation));
+    }
+
+    /**
+     * Check if the user ignored a violation
+     */
+    isIgnored(category, violation) {
+        return this.ignored.has(this.getViolationKey(category, violation));
+    }
+
+    /**
+     * Fixer options that leave the category's ignored violations alone
+     */
+    getFixerOptions(category, options = {}) {
+        return { ...options, isIgnored: violation => this.isIgnored(category, violation) };
+    }
+
+    /**
+     * Stop ignoring every ignored violation
+     */
+    clearIgnored() {
+        this.ignored.clear();
+    }
+
+    /**
+     * Remove ignored violations from a checker result
+     * Logo results are filtered by issue, keeping the matching violation messages
+     */
+    filterIgnored(category, data) {
+        const isIgnored = violation => this.isIgnored(category, violation);
+
+        if (category === 'logo') {
+            const issues = data.issues || [];
+            const keep = issues.map(issue => !isIgnored(issue));
+            const remaining = issues.filter((issue, index) => keep[index]);
+            return {
+                ...data,
+                issues: remaining,
+                violations: (data.violations || []).filter((violation, index) => keep[index] !== false),
+                isCompliant: data.isCompliant || remaining.length === 0,
+                ignoredCount: issues.length - remaining.length
+            };
+        }
+
+        const violations = data.violations.filter(violation => !isIgnored(violation));
+        return {
+            ...data,
+            violations,
+            isCompliant: violations.length === 0,
+            ignoredCount: data.violations.length - violations.length
+        };
+    }
+
+    /**
+     * Plan the changes that fix a single violation
+     * Logo issues are fixed per logo, so every planned change for that logo is returned
+     */
+    async planViolationFix(category, violation, options = {}) {
+        switch (category) {
+            case 'colors':
+                return this.colorChecker.planColorFixes([violation]);
+            case 'fonts':
+                return this.fontChecker.planFontFixes([violation]);
+            case 'contrast':
+                return this.contrastChecker.planContrastFixes([violation]);
+            case 'logo': {
+                const plan = await this.logoChecker.fixLogoViolations(
+                    this.getFixerOptions('logo', { ...options, dryRun: true })
+                );
+                return (plan.changes || []).filter(change => change.logoLayerId === violation.layerId);
             }
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Fix every violation in one category, skipping ignored ones
+     * Takes the same options as fixAll
+     */
+    async fixCategory(category, options = {}) {
+        const fixers = {
+            colors: o => this.colorChecker.fixColorViolations(o),
+            fonts: o => this.fontChecker.fixFontViolations(o),
+            logo: o => this.logoChecker.fixLogoViolations(o),
+            contrast: o => this.contrastChecker.fixContrastViolations(o)
         };
+        return fixers[category](this.getFixerOptions(category, options));
+    }
+
+    /**
+     * Fix a single violation
+     */
+    async fixViolation(category, violation, options = {}) {
+        const changes = await this.planViolationFix(category, violation, options);
+        if (changes.length === 0) {
+            return { totalFixed: 0, changes: [] };
+        }
+        return this.applyChanges(changes);
+    }
+
+    /**
+     * Select a layer in the document so the user can see the violation
+     */
+    async selectLayer(layerId) {
+        try {
+            const document = await this.adapter.getDocument();
+            const entries = await this.walker.collect(document);
+            const layer = this.walker.findLayer(entries, layerId);
+            if (!layer) return false;
+
+            return await this.adapter.selectLayer(document, layer);
+        } catch (error) {
+            console.error('Error selecting layer:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Summarize planned font replacements, e.g. " (Georgia → Lato)"
+     */
+    describeFontReplacements(violations) {
+        const mappings = new Set(
+            violations
+                .filter(v => v.violationType === 'unapproved-font' && v.replacementFont)
+                .map(v => `${v.currentFont} → ${v.replacementFont}`)
+        );
+        return mappings.size > 0 ? ` (${Array.from(mappings).join(', ')})` : '';
+    }
+
+    /**
+     * Summarize which variant each logo was matched to, e.g. "logo: Horizontal Lockup"
+     */
+    describeLogoVariants(instances = []) {
+        return instances
+            .map(instance => `${instance.layerName}: ${instance.variant.name}`)
+            .join(', ');
+    }
+
+    /**
+     * Group violations by the page they were found on
+     */
+    groupByPage(violations) {
+        const pages = new Map();
+
+        for (const violation of violations) {
+            const pageId = violation.pageId || 'page-1';
+            if (!pages.has(pageId)) {
+                pages.set(pageId, {
+                    pageId,
+                    pageName: violation.pageName || 'Page 1',
+                    violations: []
+                });
+            }
+            pages.get(pageId).violations.push(violation);
+        }
+
+        return Array.from(pages.values());
+    }
+
+    /**
+     * Get the type each scored violation is classified by
+     * Colors and fonts use their violationType, logo problems their issue type,
+     * and contrast the WCAG level the text fails
+     */
+    getScoringItems(category, categoryData) {
+        if (!categoryData) return [];
+
+        switch (category) {
+            case 'logo':
+                return categoryData.issues || [];
+            case 'contrast':
+                return categoryData.violations.map(v => ({
+                    ...v,
+                    type: v.failedLevel === 'AA' ? 'below-aa' : 'below-aaa'
+                }));
+            default:
+                return categoryData.violations.map(v => ({ ...v, type: v.violationType }));
+        }
+    }
+
+    /**
+     * Get a category's scoring settings, falling back to the defaults
+     */
+    getCategoryScoring(category) {
+        const categoryRules = (this.scoringRules.categories || {})[category] || {};
+        return {
+            weight: categoryRules.weight ?? 1,
+            maxDeduction: categoryRules.maxDeduction !== undefined
+                ? categoryRules.maxDeduction
+                : (this.scoringRules.maxDeduction ?? DEFAULT_MAX_DEDUCTION),
+            severities: categoryRules.severities || {},
+            defaultSeverity: categoryRules.defaultSeverity || this.scoringRules.defaultSeverity || 'warning'
+        };
+    }
+
+    /**
+     * Check if a violation type is a blocking rule
+     * Blocking rules are "category.type" (e.g. "logo.missing") or a whole category
+     */
+    isBlocking(category, type) {
+        const blocking = this.scoringRules.blocking || [];
+        return blocking.includes(`${category}.${type}`) || blocking.includes(category);
     }
 
     /**
      * Calculate compliance score (0-100)
+     * Each violation deducts the points for its severity times the category weight,
+     * up to the category's maxDeduction; any blocking violation forces the score to 0
+     * Returns the score, its band and a per-category breakdown of every deduction
      */
     calculateScore(complianceData) {
+        const severityPoints = { ...DEFAULT_SEVERITY_POINTS, ...(this.scoringRules.severityPoints || {}) };
+        const categories = {};
+        const blockedBy = [];
         let score = 100;
-        const deductionPerViolation = 10; // Deduct 10 points per violation category
 
-        // Deduct points for each category with violations
-        if (!complianceData.colors.isCompliant) {
-            score -= Math.min(deductionPerViolation * Math.ceil(complianceData.colors.violationCount / 2), 30);
-        }
+        for (const category of SCORE_CATEGORIES) {
+            const settings = this.getCategoryScoring(category);
+            const deductions = this.getScoringItems(category, complianceData[category]).map(item => {
+                const severity = settings.severities[item.type] || settings.defaultSeverity;
+                const blocking = this.isBlocking(category, item.type);
+                if (blocking) {
+                    blockedBy.push({ category, type: item.type, layerName: item.layerName || null });
+                }
+                return {
+                    type: item.type,
+                    severity,
+                    blocking,
+                    layerId: item.layerId || null,
+                    layerName: item.layerName || null,
+                    points: (severityPoints[severity] || 0) * settings.weight
+                };
+            });
 
-        if (!complianceData.fonts.isCompliant) {
-            score -= Math.min(deductionPerViolation * Math.ceil(complianceData.fonts.violationCount / 2), 30);
-        }
+            const total = deductions.reduce((sum, d) => sum + d.points, 0);
+            const deducted = settings.maxDeduction === null ? total : Math.min(total, settings.maxDeduction);
+            score -= deducted;
 
-        if (!complianceData.logo.isCompliant) {
-            score -= Math.min(deductionPerViolation * Math.ceil(complianceData.logo.violationCount / 2), 30);
+            categories[category] = {
+                weight: settings.weight,
+                maxDeduction: settings.maxDeduction,
+                deducted: Math.round(deducted * 10) / 10,
+                capped: deducted < total,
+                deductions
+            };
         }
 
         // Ensure score doesn't go below 0
-        return Math.max(0, Math.round(score));
+        const finalScore = blockedBy.length > 0 ? 0 : Math.max(0, Math.round(score));
+        const band = this.getScoreBand(finalScore);
+
+        return {
+            score: finalScore,
+            description: band.label,
+            status: band.status || 'success',
+            blocked: blockedBy.length > 0,
+            blockedBy,
+            categories
+        };
+    }
+
+    /**
+     * Summarize a category's deductions, e.g. "-15 pts: 1 error, 1 warning"
+     */
+    describeDeductions(categoryScore) {
+        if (!categoryScore || categoryScore.deductions.length === 0) return '';
+
+        const counts = {};
+        for (const deduction of categoryScore.deductions) {
+            counts[deduction.severity] = (counts[deduction.severity] || 0) + 1;
+        }
+        const parts = Object.entries(counts).map(([severity, count]) => `${count} ${severity}`);
+        return `-${categoryScore.deducted} pts${categoryScore.capped ? ' (capped)' : ''}: ${parts.join(', ')}`;
+    }
+
+    /**
+     * Get the description band for a score
+     * Bands are checked from the highest `min` down
+     */
+    getScoreBand(score) {
+        const bands = [...(this.scoringRules.bands || DEFAULT_SCORE_BANDS)].sort((a, b) => b.min - a.min);
+        return bands.find(band => score >= band.min) || bands[bands.length - 1] || { label: '' };
     }
 
     /**
      * Get score description
      */
     getScoreDescription(score) {
-        if (score >= 90) return 'Excellent';
-        if (score >= 70) return 'Good';
-        if (score >= 50) return 'Needs Improvement';
-        if (score >= 30) return 'Poor';
-        return 'Critical';
+        return this.getScoreBand(score).label;
     }
 
     /**
-     * Fix all violations
+     * Fix all violations except ignored ones
+     * options are passed to the individual fixers (e.g. clearSpaceStrategy for the logo);
+     * with options.dryRun every planned change is returned in `changes` and nothing is applied;
+     * with options.rollbackOnFailure every change is undone if any change fails
      */
-    async fixAll() {
+    async fixAll(options = {}) {
         const results = {
             colors: null,
             fonts: null,
             logo: null,
-            totalFixed: 0
+            contrast: null,
+            totalFixed: 0,
+            changes: []
         };
+        const run = options.dryRun ? null : this.journal.beginRun('Fix all');
+        let failed = false;
 
         try {
             // Fix colors
-            results.colors = await this.colorChecker.fixColorViolations();
+            results.colors = await this.fixCategory('colors', options);
             results.totalFixed += results.colors.fixed || 0;
 
+            // Fix contrast (after colors, which may have changed text or fill colors)
+            results.contrast = await this.fixCategory('contrast', options);
+            results.totalFixed += results.contrast.fixed || 0;
+
             // Fix fonts
-            results.fonts = await this.fontChecker.fixFontViolations();
+            results.fonts = await this.fixCategory('fonts', options);
             results.totalFixed += results.fonts.fixed || 0;
 
             // Fix logo
-            results.logo = await this.logoChecker.fixLogoViolations();
+            results.logo = await this.fixCategory('logo', options);
             results.totalFixed += results.logo.fixed || 0;
 
-            return results;
+            results.changes = FIX_ORDER.flatMap(category => (results[category] && results[category].changes) || []);
+            results.dryRun = options.dryRun === true;
         } catch (error) {
             console.error('Error fixing all violations:', error);
+            failed = true;
+        } finally {
+            if (run) this.journal.endRun();
+        }
+
+        if (run && options.rollbackOnFailure && (failed || run.failures.length > 0)) {
+            results.rollback = await this.journal.rollback(run);
+            results.rolledBack = true;
+            results.totalFixed = 0;
+        }
+
+        return results;
+    }
+
+    /**
+     * Undo the most recent fix run, restoring every value it changed
+     * Returns null if there is nothing to undo
+     */
+    async undoLastFix() {
+        try {
+            return await this.journal.undoLast();
+        } catch (error) {
+            console.error('Error undoing last fix:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Apply a selection of planned changes from a dry run
+     * Changes are applied per category in the same order as fixAll
+     */
+    async applyChanges(changes) {
+        const appliers = {
+            colors: c => this.colorChecker.applyColorChanges(c),
+            contrast: c => this.contrastChecker.applyContrastChanges(c),
+            fonts: c => this.fontChecker.applyFontChanges(c),
+            logo: c => this.logoChecker.applyLogoChanges(c)
+        };
+        const results = { totalFixed: 0, changes: [] };
+
+        this.journal.beginRun('Apply selected changes');
+        try {
+            for (const category of FIX_ORDER) {
+                const selected = changes.filter(change => change.category === category);
+                if (selected.length === 0) continue;
+
+                results[category] = await appliers[category](selected);
+                results.totalFixed += results[category].fixed || 0;
+                results.changes.push(...results[category].changes);
+            }
+            return results;
+        } catch (error) {
+            console.error('Error applying changes:', error);
             return results;
+        } finally {
+            this.journal.endRun();
         }
     }
 }
@@ -0,0 +1,359 @@
+/**
+ * Contrast Compliance Checker
+ * Checks WCAG 2.x contrast between text layers and the layers behind them
+ */
+
+import { ColorChecker } from './colorChecker.js';
+import { DocumentWalker } from './documentWalker.js';
+import { FixJournal } from './fixJournal.js';
+import { FontChecker } from './fontChecker.js';
+
+const WCAG_THRESHOLDS = {
+    AA: { normal: 4.5, large: 3 },
+    AAA: { normal: 7, large: 4.5 }
+};
+
+export class ContrastChecker {
+    constructor(brandRules, adapter) {
+        this.adapter = adapter;
+        this.brandRules = brandRules;
+        this.contrastRules = brandRules.contrast || {};
+        this.level = (this.contrastRules.level || 'AA').toUpperCase() === 'AAA' ? 'AAA' : 'AA';
+        // WCAG large text: 18pt (24px) regular or 14pt (~18.66px) bold
+        this.largeTextSize = this.contrastRules.largeTextSize || 24;
+        this.largeBoldTextSize = this.contrastRules.largeBoldTextSize || 18.66;
+        this.defaultBackground = this.contrastRules.defaultBackground || '#FFFFFF';
+        this.colorChecker = new ColorChecker(brandRules, adapter);
+        this.fontChecker = new FontChecker(brandRules, adapter);
+        this.walker = new DocumentWalker();
+        this.journal = new FixJournal(adapter);
+    }
+
+    /**
+     * Calculate WCAG relative luminance of an RGB color
+     */
+    relativeLuminance(rgb) {
+        const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(v => {
+            const c = v / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    /**
+     * Calculate WCAG contrast ratio between two hex colors (1-21)
+     */
+    contrastRatio(hex1, hex2) {
+        const rgb1 = this.colorChecker.hexToRgb(hex1);
+        const rgb2 = this.colorChecker.hexToRgb(hex2);
+        if (!rgb1 || !rgb2) return 0;
+
+        const l1 = this.relativeLuminance(rgb1);
+        const l2 = this.relativeLuminance(rgb2);
+        const lighter = Math.max(l1, l2);
+        const darker = Math.min(l1, l2);
+        return (lighter + 0.05) / (darker + 0.05);
+    }
+
+    /**
+     * Check if a text layer counts as large text under WCAG
+     */
+    isLargeText(layer) {
+        const size = layer.fontSize || 0;
+        // Weights such as "Bold", "700" or "bolder" are read the way the font check reads them
+        const isBold = this.fontChecker.normalizeWeight(layer.fontWeight) >= 700;
+
+        return size >= this.largeTextSize || (isBold && size >= this.largeBoldTextSize);
+    }
+
+    /**
+     * Get the minimum contrast ratio required at a given level
+     */
+    getRequiredRatio(level, isLargeText) {
+        const thresholds = WCAG_THRESHOLDS[level];
+        return isLargeText ? thresholds.large : thresholds.normal;
+    }
+
+    /**
+     * Check if two bounds rectangles overlap
+     */
+    boundsOverlap(a, b) {
+        if (!a || !b) return false;
+        return a.x < b.x + b.width &&
+               a.x + a.width > b.x &&
+               a.y < b.y + b.height &&
+               a.y + a.height > b.y;
+    }
+
+    /**
+     * Find the fill color behind a text layer
+     * Layers are in z-order (bottom first), so the closest filled layer below the
+     * text whose bounds overlap it is the visible background
+     */
+    findBackground(layers, textIndex, documentBackground) {
+        const textLayer = layers[textIndex];
+
+        for (let i = textIndex - 1; i >= 0; i--) {
+            const layer = layers[i];
+            if (layer.type === 'text' || !layer.fill || !layer.fill.color) continue;
+
+            if (this.boundsOverlap(textLayer.bounds, layer.bounds)) {
+                return {
+                    color: this.colorChecker.rgbToHex(layer.fill.color),
+                    layerId: layer.id,
+                    layerName: layer.name || 'Unnamed Layer'
+                };
+            }
+        }
+
+        return { color: documentBackground, layerId: null, layerName: 'Document background' };
+    }
+
+    /**
+     * Find the nearest approved brand color that passes against a background
+     * Text-usage swatches are preferred when usage rules are configured
+     */
+    findPassingBrandColor(textHex, backgroundHex, requiredRatio) {
+        const textRgb = this.colorChecker.hexToRgb(textHex);
+        if (!textRgb) return null;
+
+        const candidates = this.colorChecker.approvedColors
+            .filter(c => c.rgb && this.contrastRatio(c.hex, backgroundHex) >= requiredRatio)
+            .map(c => ({ color: c, distance: this.colorChecker.distanceToBrandColor(textRgb, c) }))
+            .sort((a, b) => a.distance - b.distance);
+
+        const textUsages = this.colorChecker.getAllowedUsages('text');
+        if (textUsages) {
+            const preferred = candidates.find(c => textUsages.includes(c.color.usage));
+            if (preferred) return preferred.color;
+        }
+
+        return candidates.length > 0 ? candidates[0].color : null;
+    }
+
+    /**
+     * Check contrast for every text layer in the document
+     */
+    async checkDocumentContrast() {
+        try {
+            const document = await this.adapter.getDocument();
+            const entries = await this.walker.collect(document);
+            const documentBackground = document.backgroundColor
+                ? this.colorChecker.rgbToHex(document.backgroundColor)
+                : this.defaultBackground;
+            const contrastViolations = [];
+            let checkedCount = 0;
+
+            // Backgrounds can only come from the same page, in flattened z-order
+            const pageIds = [...new Set(entries.map(entry => entry.page.id))];
+            for (const pageId of pageIds) {
+                const pageEntries = entries.filter(entry => entry.page.id === pageId);
+                const layers = pageEntries.map(entry => entry.layer);
+
+                layers.forEach((layer, index) => {
+                    if (layer.type !== 'text') return;
+
+                    // Rich text is checked per styled range, like the color check does
+                    const ranges = this.colorChecker.getTextRanges(layer).filter(range => range.color);
+                    const colors = ranges.length > 0
+                        ? ranges.map(range => ({ color: range.color, location: { start: range.start, length: range.length } }))
+                        : (layer.textColor ? [{ color: layer.textColor, location: null }] : []);
+                    if (colors.length === 0) return;
+
+                    checkedCount++;
+                    for (const { color, location } of colors) {
+                        const violation = this.checkTextLayer(layers, index, documentBackground, color, location);
+                        if (violation) {
+                            contrastViolations.push({ ...violation, ...this.walker.describe(pageEntries[index]) });
+                        }
+                    }
+                });
+            }
+
+            return {
+                checkedCount,
+                violations: contrastViolations,
+                isCompliant: contrastViolations.length === 0
+            };
+        } catch (error) {
+            if (!this.adapter.demoFallback) throw error;
+            console.error('Error checking document contrast:', error);
+            // Fallback for demo purposes
+            return this.getMockContrastData();
+        }
+    }
+
+    /**
+     * Check a single text layer, returning a violation or null if it passes
+     * `color` and `location` are those of one styled range in rich text, otherwise the text color
+     */
+    checkTextLayer(layers, index, documentBackground, color = layers[index].textColor, location = null) {
+        const layer = layers[index];
+        const textColor = this.colorChecker.rgbToHex(color);
+        const background = this.findBackground(layers, index, documentBackground);
+        const isLarge = this.isLargeText(layer);
+        const ratio = this.contrastRatio(textColor, background.color);
+        const requiredRatio = this.getRequiredRatio(this.level, isLarge);
+
+        if (ratio >= requiredRatio) return null;
+
+        // The lowest level the text fails: AA if it fails even AA, otherwise the configured AAA
+        const failedLevel = ratio < this.getRequiredRatio('AA', isLarge) ? 'AA' : 'AAA';
+
+        return {
+            layerId: layer.id,
+            layerName: layer.name || 'Unnamed Text',
+            location,
+            locationLabel: location ? this.colorChecker.describeLocation('text-range', location) : null,
+            textColor,
+            backgroundColor: background.color,
+            backgroundLayerId: background.layerId,
+            backgroundLayerName: background.layerName,
+            isLargeText: isLarge,
+            ratio: Math.round(ratio * 100) / 100,
+            requiredRatio,
+            level: this.level,
+            failedLevel,
+            suggestedColor: this.findPassingBrandColor(textColor, background.color, requiredRatio)
+        };
+    }
+
+    /**
+     * Plan the changes that fix contrast violations without touching the document
+     */
+    planContrastFixes(violations) {
+        return violations
+            .filter(violation => violation.suggestedColor)
+            .map((violation, index) => ({
+                id: `contrast-${index + 1}`,
+                category: 'contrast',
+                layerId: violation.layerId,
+                layerName: violation.layerName,
+                pageName: violation.pageName,
+                layerPath: violation.layerPath,
+                property: violation.location ? 'textRangeColor' : 'textColor',
+                location: violation.location || null,
+                oldValue: violation.textColor,
+                newValue: violation.suggestedColor.hex,
+                violation
+            }));
+    }
+
+    /**
+     * Fix contrast violations by swapping text to the nearest passing brand color
+     * With options.dryRun the planned changes are returned and nothing is applied;
+     * violations options.isIgnored returns true for are not fixed
+     */
+    async fixContrastViolations(options = {}) {
+        try {
+            const contrastData = await this.checkDocumentContrast();
+
+            // Violations the user ignored are left as they are
+            const violations = options.isIgnored
+                ? contrastData.violations.filter(violation => !options.isIgnored(violation))
+                : contrastData.violations;
+            if (violations.length === 0) {
+                return { fixed: 0, message: 'No contrast violations found', changes: [] };
+            }
+
+            const changes = this.planContrastFixes(violations);
+            if (options.dryRun) {
+                return {
+                    fixed: 0,
+                    dryRun: true,
+                    message: `${changes.length} contrast change(s) planned`,
+                    changes
+                };
+            }
+
+            return await this.applyContrastChanges(changes);
+        } catch (error) {
+            if (!this.adapter.demoFallback) throw error;
+            console.error('Error fixing contrast violations:', error);
+            // Fallback for demo
+            return this.journal.getDemoFixResult(
+                'contrast',
+                options,
+                this.planContrastFixes(this.getMockContrastData().violations)
+            );
+        }
+    }
+
+    /**
+     * Apply planned contrast changes, e.g. the ones a user accepted in the preview
+     */
+    async applyContrastChanges(changes) {
+        const document = await this.adapter.getDocument();
+        const entries = await this.walker.collect(document);
+        const applied = [];
+
+        this.journal.beginRun('Fix contrast');
+        try {
+            for (const change of changes) {
+                const layer = this.walker.findLayer(entries, change.layerId);
+                const replacement = this.colorChecker.hexToRgb(change.newValue);
+                if (!layer || layer.type !== 'text' || !replacement) continue;
+
+                try {
+                    if (change.location) {
+                        const { start, length } = change.location;
+                        const range = this.colorChecker.getTextRanges(layer).find(r => r.start === start);
+                        await this.journal.apply(
+                            layer,
+                            'setTextRangeColor',
+                            [start, length, replacement],
+                            [start, length, range && range.color]
+                        );
+                    } else {
+                        await this.journal.apply(layer, 'setTextColor', [replacement], [layer.textColor]);
+                    }
+                    applied.push(change);
+                } catch (error) {
+                    console.warn(`Could not fix contrast for layer ${change.layerName}:`, error);
+                }
+            }
+        } finally {
+            this.journal.endRun();
+        }
+
+        return {
+            fixed: applied.length,
+            message: `Fixed ${applied.length} contrast violation(s)`,
+            changes: applied
+        };
+    }
+
+    /**
+     * Mock data for demo purposes
+     */
+    getMockContrastData() {
+        const mockViolations = [
+            {
+                layerId: 'text2',
+                layerName: 'Caption',
+                textColor: '#E5E5E5',
+                backgroundColor: '#FFFFFF',
+                backgroundLayerId: null,
+                backgroundLayerName: 'Document background',
+                location: null,
+                locationLabel: null,
+                isLargeText: false,
+                ratio: 1.26,
+                requiredRatio: this.getRequiredRatio(this.level, false),
+                level: this.level,
+                failedLevel: 'AA',
+                suggestedColor: this.findPassingBrandColor(
+                    '#E5E5E5',
+                    '#FFFFFF',
+                    this.getRequiredRatio(this.level, false)
+                )
+            }
+        ];
+
+        return {
+            checkedCount: 2,
+            violations: mockViolations,
+            isCompliant: false
+        };
+    }
+}
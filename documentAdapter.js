@@ -0,0 +1,128 @@
+/**
+ * Document Adapter
+ * The interface between the compliance checks and the document they check: the checks
+ * read the layer tree from getDocument() and change layers only through the setters
+ * Implementations: ExpressDocumentAdapter (the panel) and JsonDocumentAdapter (Node, tests)
+ */
+
+export class DocumentAdapter {
+    constructor() {
+        // When true, checks that cannot read the document return demo data instead of failing
+        this.demoFallback = false;
+    }
+
+    /**
+     * Get the document root, traversed by DocumentWalker: pages, artboards and groups
+     * with their layers, each layer with id, name, type, bounds and its paint and text properties
+     */
+    async getDocument() {
+        throw this.unsupported('getDocument');
+    }
+
+    /**
+     * Set a layer's fill color ({ r, g, b } in 0-255)
+     */
+    async setFillColor(layer, color) {
+        throw this.unsupported('setFillColor');
+    }
+
+    /**
+     * Set a layer's stroke color
+     */
+    async setStrokeColor(layer, color) {
+        throw this.unsupported('setStrokeColor');
+    }
+
+    /**
+     * Set the color of all the text in a text layer
+     */
+    async setTextColor(layer, color) {
+        throw this.unsupported('setTextColor');
+    }
+
+    /**
+     * Set the color of one styled range of a text layer
+     */
+    async setTextRangeColor(layer, start, length, color) {
+        throw this.unsupported('setTextRangeColor');
+    }
+
+    /**
+     * Set the color of one stop of a fill or stroke gradient (`property` is 'fill' or 'stroke')
+     */
+    async setGradientStopColor(layer, property, stopIndex, color) {
+        throw this.unsupported('setGradientStopColor');
+    }
+
+    /**
+     * Set the color of one effect, e.g. a shadow
+     */
+    async setEffectColor(layer, effectIndex, color) {
+        throw this.unsupported('setEffectColor');
+    }
+
+    /**
+     * Set the font family of a text layer
+     */
+    async setFontFamily(layer, fontFamily) {
+        throw this.unsupported('setFontFamily');
+    }
+
+    /**
+     * Set the font weight of a text layer (100-900)
+     */
+    async setFontWeight(layer, fontWeight) {
+        throw this.unsupported('setFontWeight');
+    }
+
+    /**
+     * Set the font style of a text layer ('normal' or 'italic')
+     */
+    async setFontStyle(layer, fontStyle) {
+        throw this.unsupported('setFontStyle');
+    }
+
+    /**
+     * Set the font size of a text layer in px
+     */
+    async setFontSize(layer, fontSize) {
+        throw this.unsupported('setFontSize');
+    }
+
+    /**
+     * Move or resize a layer ({ x, y, width, height })
+     */
+    async setBounds(layer, bounds) {
+        throw this.unsupported('setBounds');
+    }
+
+    /**
+     * Select a layer so the user can see it; returns false if the host cannot select
+     */
+    async selectLayer(document, layer) {
+        return false;
+    }
+
+    /**
+     * Get RGBA pixel data ({ width, height, data }) of an image layer, or null if it has none
+     * Layers that only link their image are loaded with loadImagePixels
+     */
+    async getLayerPixels(layer) {
+        const src = layer.imageUrl || layer.src;
+        return src ? await this.loadImagePixels(src) : null;
+    }
+
+    /**
+     * Load an image URL, e.g. a logo reference, into RGBA pixel data
+     */
+    async loadImagePixels(src) {
+        throw this.unsupported('loadImagePixels');
+    }
+
+    /**
+     * Error for an operation this adapter does not implement
+     */
+    unsupported(operation) {
+        return new Error(`${this.constructor.name} does not support ${operation}`);
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Document Walker
+ * Recursively visits pages, artboards and groups so every checker sees nested layers
+ */
+
+const CONTAINER_TYPES = ['group', 'artboard', 'page'];
+
+export class DocumentWalker {
+    /**
+     * Get the pages of a document
+     * Single-page documents without a pages API are treated as one page
+     */
+    async getPages(document) {
+        if (typeof document.getPages === 'function') {
+            const pages = await document.getPages();
+            if (pages && pages.length > 0) return pages;
+        }
+        if (Array.isArray(document.pages) && document.pages.length > 0) {
+            return document.pages;
+        }
+        return [document];
+    }
+
+    /**
+     * Get the direct children of a page, artboard or group
+     */
+    async getChildren(node) {
+        if (typeof node.getLayers === 'function') {
+            return (await node.getLayers()) || [];
+        }
+        if (Array.isArray(node.children)) return node.children;
+        if (Array.isArray(node.artboards)) return node.artboards;
+        if (Array.isArray(node.layers)) return node.layers;
+        return [];
+    }
+
+    /**
+     * Check if a node can contain other layers
+     */
+    isContainer(node) {
+        return CONTAINER_TYPES.includes(node.type) ||
+            typeof node.getLayers === 'function' ||
+            Array.isArray(node.children);
+    }
+
+    /**
+     * Visit every layer in the document, depth first and in z-order (bottom first)
+     * Each entry carries the layer, its page, parent and full name path, and the
+     * bounds of the canvas (artboard, page or document) it is placed on
+     * Without page or document bounds the canvas is the extent of the page content
+     */
+    async *walk(document) {
+        const pages = await this.getPages(document);
+
+        for (let index = 0; index < pages.length; index++) {
+            const pageNode = pages[index];
+            const page = {
+                id: pageNode === document ? 'page-1' : (pageNode.id || `page-${index + 1}`),
+                name: (pageNode !== document && pageNode.name) || `Page ${index + 1}`,
+                index
+            };
+            const pageBounds = (pageNode !== document && pageNode.bounds) ||
+                document.bounds ||
+                await this.getContentBounds(pageNode);
+
+            yield* this.walkChildren(pageNode, {
+                page,
+                parent: null,
+                path: [],
+                depth: 0,
+                canvasBounds: pageBounds
+            });
+        }
+    }
+
+    /**
+     * Get the extent of a node's direct children measured from the canvas origin,
+     * or null if none have bounds
+     */
+    async getContentBounds(node) {
+        const bounds = (await this.getChildren(node))
+            .map(child => child && child.bounds)
+            .filter(b => b && b.width > 0 && b.height > 0);
+        if (bounds.length === 0) return null;
+
+        return {
+            x: 0,
+            y: 0,
+            width: Math.max(...bounds.map(b => (b.x || 0) + b.width)),
+            height: Math.max(...bounds.map(b => (b.y || 0) + b.height))
+        };
+    }
+
+    /**
+     * Recursively visit the children of a node
+     */
+    async *walkChildren(node, context) {
+        const children = await this.getChildren(node);
+
+        for (const layer of children) {
+            if (!layer) continue;
+
+            const path = [...context.path, layer.name || 'Unnamed Layer'];
+            const entry = {
+                layer,
+                page: context.page,
+                parent: context.parent,
+                path,
+                depth: context.depth,
+                canvasBounds: context.canvasBounds
+            };
+            yield entry;
+
+            if (this.isContainer(layer)) {
+                yield* this.walkChildren(layer, {
+                    page: context.page,
+                    parent: layer,
+                    path,
+                    depth: context.depth + 1,
+                    // Artboards define their own canvas for the layers on them
+                    canvasBounds: layer.type === 'artboard' && layer.bounds
+                        ? layer.bounds
+                        : context.canvasBounds
+                });
+            }
+        }
+    }
+
+    /**
+     * Collect all walk entries into an array
+     */
+    async collect(document) {
+        const entries = [];
+        for await (const entry of this.walk(document)) {
+            entries.push(entry);
+        }
+        return entries;
+    }
+
+    /**
+     * Find a layer anywhere in a list of walk entries by id
+     */
+    findLayer(entries, layerId) {
+        const entry = entries.find(e => e.layer.id === layerId);
+        return entry ? entry.layer : null;
+    }
+
+    /**
+     * Location fields attached to every violation
+     */
+    describe(entry) {
+        return {
+            pageId: entry.page.id,
+            pageName: entry.page.name,
+            layerPath: entry.path.join(' / ')
+        };
+    }
+}
@@ -0,0 +1,24 @@
+/**
+ * BrandGuard Engine
+ * The brand compliance checks without the Express panel: check any document a
+ * DocumentAdapter can read, e.g. a JSON document model in Node
+ *
+ *   const checker = new ComplianceChecker(brandRules, new JsonDocumentAdapter(model));
+ *   const results = await checker.checkAll();
+ *   const score = checker.calculateScore(results);
+ */
+
+export { ComplianceChecker } from './complianceChecker.js';
+export { ColorChecker } from './colorChecker.js';
+export { FontChecker } from './fontChecker.js';
+export { LogoChecker } from './logoChecker.js';
+export { LogoRecognizer } from './logoRecognizer.js';
+export { ContrastChecker } from './contrastChecker.js';
+export { DocumentWalker } from './documentWalker.js';
+export { FixJournal } from './fixJournal.js';
+export { DocumentAdapter } from './documentAdapter.js';
+export { JsonDocumentAdapter } from './jsonDocumentAdapter.js';
+export { RulesValidator, CURRENT_SCHEMA_VERSION } from './rulesValidator.js';
+export { ReportGenerator } from './reportGenerator.js';
+export { BatchChecker, DEFAULT_SCORE_THRESHOLD } from './batchChecker.js';
+export { SvgDocumentParser } from './svgDocumentParser.js';
@@ -0,0 +1,112 @@
+/**
+ * Express Document Adapter
+ * Runs the compliance checks against the open Adobe Express document from the panel
+ */
+
+import { DocumentAdapter } from './documentAdapter.js';
+
+export class ExpressDocumentAdapter extends DocumentAdapter {
+    constructor(express = window.express) {
+        super();
+        this.express = express;
+        // Outside Express (e.g. the panel opened on its own) the checks show demo data
+        this.demoFallback = true;
+    }
+
+    /**
+     * Get the open document
+     */
+    async getDocument() {
+        return this.express.document.getDocument();
+    }
+
+    // Express layers change themselves; each setter calls the layer method of the same name
+
+    async setFillColor(layer, color) {
+        await layer.setFillColor(color);
+    }
+
+    async setStrokeColor(layer, color) {
+        await layer.setStrokeColor(color);
+    }
+
+    async setTextColor(layer, color) {
+        await layer.setTextColor(color);
+    }
+
+    async setTextRangeColor(layer, start, length, color) {
+        await layer.setTextRangeColor(start, length, color);
+    }
+
+    async setGradientStopColor(layer, property, stopIndex, color) {
+        await layer.setGradientStopColor(property, stopIndex, color);
+    }
+
+    async setEffectColor(layer, effectIndex, color) {
+        await layer.setEffectColor(effectIndex, color);
+    }
+
+    async setFontFamily(layer, fontFamily) {
+        await layer.setFontFamily(fontFamily);
+    }
+
+    async setFontWeight(layer, fontWeight) {
+        await layer.setFontWeight(fontWeight);
+    }
+
+    async setFontStyle(layer, fontStyle) {
+        await layer.setFontStyle(fontStyle);
+    }
+
+    async setFontSize(layer, fontSize) {
+        await layer.setFontSize(fontSize);
+    }
+
+    async setBounds(layer, bounds) {
+        await layer.setBounds(bounds);
+    }
+
+    /**
+     * Select a layer in the document
+     */
+    async selectLayer(document, layer) {
+        if (typeof document.setSelection === 'function') {
+            await document.setSelection([layer]);
+        } else if (typeof layer.select === 'function') {
+            await layer.select();
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Get RGBA pixel data for an image layer
+     */
+    async getLayerPixels(layer) {
+        if (typeof layer.getImageData === 'function') {
+            return await layer.getImageData();
+        }
+        return super.getLayerPixels(layer);
+    }
+
+    /**
+     * Load an image URL into RGBA pixel data using an offscreen canvas
+     */
+    async loadImagePixels(src) {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error(`Failed to load image ${src}`));
+            image.src = src;
+        });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth || image.width;
+        canvas.height = image.naturalHeight || image.height;
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0);
+        return context.getImageData(0, 0, canvas.width, canvas.height);
+    }
+}
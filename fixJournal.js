@@ -0,0 +1,163 @@
+/**
+ * Fix Journal
+ * Records every document change a fix makes, with the value it replaced,
+ * so a fix run can be undone or rolled back as a single transaction
+ */
+
+// Number of fix runs kept for undo
+const JOURNAL_RUN_LIMIT = 20;
+
+export class FixJournal {
+    constructor(adapter, limit = JOURNAL_RUN_LIMIT) {
+        // The document adapter that makes each change
+        this.adapter = adapter;
+        this.limit = limit;
+        this.runs = [];
+        this.currentRun = null;
+        this.depth = 0;
+        this.nextRunId = 1;
+    }
+
+    /**
+     * Start a fix run; changes are grouped into it until the matching endRun
+     * Runs started inside an open run (e.g. each category during Fix All) join it
+     */
+    beginRun(label) {
+        if (!this.currentRun) {
+            this.currentRun = {
+                id: this.nextRunId++,
+                label,
+                startedAt: new Date().toISOString(),
+                entries: [],
+                failures: []
+            };
+        }
+        this.depth++;
+        return this.currentRun;
+    }
+
+    /**
+     * Close the current run level; the outermost close adds the run to the undo history
+     * Runs that changed nothing are dropped
+     */
+    endRun() {
+        if (!this.currentRun) return null;
+
+        this.depth = Math.max(0, this.depth - 1);
+        if (this.depth > 0) return this.currentRun;
+
+        const run = this.currentRun;
+        this.currentRun = null;
+        if (run.entries.length > 0) {
+            this.runs.push(run);
+            if (this.runs.length > this.limit) this.runs.shift();
+        }
+        return run;
+    }
+
+    /**
+     * Call a document adapter setter on a layer and record how to restore the previous value
+     * `args` are the setter arguments, `originalArgs` the arguments that restore the
+     * value being replaced (captured by the caller before the call)
+     * Failed calls are recorded as failures of the run and rethrown
+     */
+    async apply(layer, setter, args, originalArgs) {
+        const run = this.currentRun;
+
+        try {
+            await this.adapter[setter](layer, ...args);
+        } catch (error) {
+            if (run) run.failures.push({ layerId: layer.id, layerName: layer.name, setter, error });
+            throw error;
+        }
+
+        if (run) {
+            run.entries.push({
+                layer,
+                layerId: layer.id,
+                layerName: layer.name || 'Unnamed Layer',
+                setter,
+                args: args.map(arg => this.copyValue(arg)),
+                originalArgs: originalArgs.map(arg => this.copyValue(arg)),
+                restorable: !originalArgs.some(arg => arg === undefined || arg === null)
+            });
+        }
+    }
+
+    /**
+     * Restore every change in a run, newest first
+     */
+    async rollback(run) {
+        let restored = 0;
+        const failed = [];
+
+        for (const entry of [...run.entries].reverse()) {
+            if (!entry.restorable) {
+                failed.push({ layerName: entry.layerName, setter: entry.setter, reason: 'original value unknown' });
+                continue;
+            }
+
+            try {
+                await this.adapter[entry.setter](entry.layer, ...entry.originalArgs);
+                restored++;
+            } catch (error) {
+                console.warn(`Could not restore ${entry.setter} on ${entry.layerName}:`, error);
+                failed.push({ layerName: entry.layerName, setter: entry.setter, reason: error.message });
+            }
+        }
+
+        this.runs = this.runs.filter(r => r !== run);
+        return { runId: run.id, label: run.label, restored, failed };
+    }
+
+    /**
+     * Undo the most recent fix run
+     */
+    async undoLast() {
+        const run = this.getLastRun();
+        if (!run) return null;
+        return this.rollback(run);
+    }
+
+    /**
+     * Get the most recent completed fix run
+     */
+    getLastRun() {
+        return this.runs.length > 0 ? this.runs[this.runs.length - 1] : null;
+    }
+
+    /**
+     * Check if there is a fix run to undo
+     */
+    canUndo() {
+        return this.runs.length > 0;
+    }
+
+    /**
+     * Result of a fix in demo mode, when the document could not be read
+     * A dry run reports the changes planned on the demo data; nothing counts as fixed
+     */
+    getDemoFixResult(type, options = {}, plannedChanges = []) {
+        if (options.dryRun) {
+            return {
+                fixed: 0,
+                dryRun: true,
+                message: `${plannedChanges.length} ${type} change(s) planned (demo mode)`,
+                changes: plannedChanges
+            };
+        }
+        return {
+            fixed: 1,
+            message: `Fixed 1 ${type} violation (demo mode)`
+        };
+    }
+
+    /**
+     * Copy a setter argument so later document changes do not alter the record
+     * Strings and numbers are kept as they are, so a rollback restores the original value
+     */
+    copyValue(value) {
+        if (Array.isArray(value)) return value.map(item => this.copyValue(item));
+        return value && typeof value === 'object' ? { ...value } : value;
+    }
+}
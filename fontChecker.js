@@ -3,13 +3,87 @@
  * Checks document fonts against brand guidelines and auto-fixes violations
  */
 
-class FontChecker {
-    constructor(brandRules) {
+import { DocumentWalker } from './documentWalker.js';
+import { FixJournal } from './fixJournal.js';
+
+const FONT_WEIGHT_NAMES = {
+    thin: 100,
+    hairline: 100,
+    extralight: 200,
+    ultralight: 200,
+    light: 300,
+    normal: 400,
+    regular: 400,
+    book: 400,
+    medium: 500,
+    semibold: 600,
+    demibold: 600,
+    bold: 700,
+    extrabold: 800,
+    ultrabold: 800,
+    black: 900,
+    heavy: 900,
+    // CSS relative weights, resolved against the normal weight
+    bolder: 700,
+    lighter: 100
+};
+
+const TEXT_ROLES = ['heading', 'subheading', 'body', 'caption'];
+
+// Layer name keywords used to infer a text role when none is set explicitly
+const TEXT_ROLE_KEYWORDS = {
+    subheading: ['subheading', 'subtitle', 'subhead', 'h2', 'h3'],
+    heading: ['heading', 'headline', 'title', 'h1'],
+    caption: ['caption', 'footnote', 'legal', 'disclaimer'],
+    body: ['body', 'paragraph', 'copy']
+};
+
+// Sizes within this many px of a scale step count as on-scale
+const SIZE_EPSILON = 0.5;
+
+const FONT_CLASSES = ['serif', 'sans', 'mono', 'display', 'script'];
+
+// Name patterns used to classify fonts that are not in the brand rules, checked in order
+const FONT_CLASS_PATTERNS = [
+    { fontClass: 'mono', pattern: /mono|code|courier|consolas|menlo|monaco|inconsolata/ },
+    { fontClass: 'script', pattern: /script|brush|hand|cursive|pacifico|lobster|dancing|comic|caveat/ },
+    { fontClass: 'display', pattern: /display|impact|bebas|poster|anton|oswald|abril|stencil/ },
+    { fontClass: 'sans', pattern: /sans|grotesk|grotesque|gothic|helvetica|arial|verdana/ },
+    {
+        fontClass: 'serif',
+        pattern: /serif|slab|georgia|times|garamond|baskerville|didot|bodoni|playfair|merriweather|caslon|cambria|palatino|antiqua/
+    }
+];
+
+// Width suffixes are never implied by the family; they must be listed in `variants`
+const WIDTH_SUFFIXES = ['condensed', 'cond', 'narrow', 'compressed', 'extended', 'expanded', 'wide'];
+const STYLE_SUFFIXES = ['italic', 'oblique'];
+// Prefixes that combine with the next token, e.g. "Extra Bold" -> "extrabold"
+const WEIGHT_PREFIXES = ['extra', 'semi', 'ultra', 'demi'];
+
+// CSS generic families map onto font classes for approved fonts without an explicit class
+const FALLBACK_CLASSES = {
+    'sans-serif': 'sans',
+    serif: 'serif',
+    monospace: 'mono',
+    cursive: 'script',
+    fantasy: 'display'
+};
+
+export class FontChecker {
+    constructor(brandRules, adapter) {
+        this.adapter = adapter;
         this.brandRules = brandRules;
+        this.fontRules = brandRules.fonts;
         this.approvedFonts = brandRules.fonts.approved.map(f => 
             f.name.toLowerCase().trim()
         );
         this.defaultFont = brandRules.fonts.default;
+        this.roleRules = brandRules.fonts.roles || {};
+        this.weightRules = brandRules.fonts.weightRules || [];
+        this.substitutions = brandRules.fonts.substitutions || [];
+        this.walker = new DocumentWalker();
+        this.journal = new FixJournal(adapter);
     }
 
     /**
@@ -20,51 +94,420 @@ class FontChecker {
         return fontName.toLowerCase().trim().replace(/\s+/g, ' ');
     }
 
+    /**
+     * Split a font name into lowercase words
+     * Handles PostScript-style names, e.g. "OpenSans-BoldItalic" -> open sans bold italic
+     */
+    tokenizeFontName(fontName) {
+        if (!fontName) return [];
+        return String(fontName)
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .replace(/[-_]+/g, ' ')
+            .toLowerCase()
+            .trim()
+            .split(/\s+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Parse style suffix words into an implied weight and style
+     * Returns null if any word is not a weight or italic suffix
+     */
+    parseStyleSuffix(tokens) {
+        let weight = null;
+        let style = null;
+
+        for (let i = 0; i < tokens.length; i++) {
+            let token = tokens[i];
+            if (WEIGHT_PREFIXES.includes(token) && i + 1 < tokens.length) {
+                token += tokens[++i];
+            }
+
+            if (STYLE_SUFFIXES.includes(token)) {
+                style = 'italic';
+            } else if (FONT_WEIGHT_NAMES[token] !== undefined) {
+                weight = FONT_WEIGHT_NAMES[token];
+            } else if (token.endsWith('italic') && FONT_WEIGHT_NAMES[token.slice(0, -6)] !== undefined) {
+                // e.g. "BoldItalic" written as one word
+                weight = FONT_WEIGHT_NAMES[token.slice(0, -6)];
+                style = 'italic';
+            } else {
+                return null;
+            }
+        }
+
+        return { weight, style };
+    }
+
+    /**
+     * Match a font name against the approved families
+     * Returns { status: 'approved' | 'variant' | 'unapproved', fontRule, suffix, impliedWeight, impliedStyle }
+     *
+     * A name only belongs to a family when the family's words are its leading
+     * words. Trailing words are accepted if they are a listed variant, or weight and
+     * italic suffixes allowed by the family's weights/styles (Regular, Bold and Italic
+     * when none are configured). Anything else - "Roboto Slab", "Lato Hairline",
+     * "Open Sans Condensed" - is an unapproved variant of the family.
+     */
+    matchFont(fontName) {
+        const tokens = this.tokenizeFontName(fontName);
+        const unapproved = { status: 'unapproved', fontRule: null, suffix: null, impliedWeight: null, impliedStyle: null };
+        if (tokens.length === 0) return unapproved;
+
+        const fullName = tokens.join(' ');
+        // Longest family first so "Open Sans" wins over a hypothetical "Open"
+        const rules = [...this.fontRules.approved].sort((a, b) =>
+            this.tokenizeFontName(b.name).length - this.tokenizeFontName(a.name).length
+        );
+
+        for (const fontRule of rules) {
+            const aliases = (fontRule.aliases || []).map(alias => this.tokenizeFontName(alias).join(' '));
+            if (aliases.includes(fullName)) {
+                return { status: 'approved', fontRule, suffix: null, impliedWeight: null, impliedStyle: null };
+            }
+
+            const familyTokens = this.tokenizeFontName(fontRule.name);
+            const isFamilyPrefix = familyTokens.length <= tokens.length &&
+                familyTokens.every((token, i) => tokens[i] === token);
+            if (!isFamilyPrefix) continue;
+
+            const suffixTokens = tokens.slice(familyTokens.length);
+            if (suffixTokens.length === 0) {
+                return { status: 'approved', fontRule, suffix: null, impliedWeight: null, impliedStyle: null };
+            }
+
+            const suffix = suffixTokens.join(' ');
+            const variants = (fontRule.variants || []).map(v => this.tokenizeFontName(v).join(' '));
+            const parsed = this.parseStyleSuffix(suffixTokens.filter(t => !WIDTH_SUFFIXES.includes(t)));
+            const impliedWeight = parsed ? parsed.weight : null;
+            const impliedStyle = parsed ? parsed.style : null;
+
+            if (variants.includes(suffix)) {
+                return { status: 'approved', fontRule, suffix, impliedWeight, impliedStyle };
+            }
+
+            const hasWidthSuffix = suffixTokens.some(t => WIDTH_SUFFIXES.includes(t));
+            if (parsed && !hasWidthSuffix) {
+                const allowedWeights = fontRule.weights || [400, 700];
+                const allowedStyles = fontRule.styles || ['normal', 'italic'];
+                const weightOk = impliedWeight === null || allowedWeights.includes(impliedWeight);
+                const styleOk = impliedStyle === null || allowedStyles.includes(impliedStyle);
+                if (weightOk && styleOk) {
+                    return { status: 'approved', fontRule, suffix, impliedWeight, impliedStyle };
+                }
+            }
+
+            return { status: 'variant', fontRule, suffix, impliedWeight, impliedStyle };
+        }
+
+        return unapproved;
+    }
+
     /**
      * Check if a font is approved
      */
     isFontApproved(fontName) {
+        return this.findApprovedFont(fontName) !== null;
+    }
+
+    /**
+     * Find the approved font entry (with its weight/style rules) matching a font name
+     */
+    findApprovedFont(fontName) {
+        const match = this.matchFont(fontName);
+        return match.status === 'approved' ? match.fontRule : null;
+    }
+
+    /**
+     * Classify a font as serif, sans, mono, display or script
+     * Approved fonts use their configured class or CSS fallback; others are
+     * classified from their name, defaulting to sans
+     */
+    classifyFont(fontName) {
+        const approved = this.findApprovedFont(fontName);
+        if (approved) return this.getApprovedFontClass(approved);
+
+        const normalized = this.normalizeFontName(fontName);
+        const match = FONT_CLASS_PATTERNS.find(entry => entry.pattern.test(normalized));
+        return match ? match.fontClass : 'sans';
+    }
+
+    /**
+     * Get the class of an approved font entry
+     */
+    getApprovedFontClass(fontRule) {
+        if (fontRule.class && FONT_CLASSES.includes(fontRule.class)) return fontRule.class;
+        return FALLBACK_CLASSES[fontRule.fallback] || 'sans';
+    }
+
+    /**
+     * Choose the replacement for an unapproved font
+     * Order: explicit substitution for the font, substitution for its class,
+     * first approved font of the same class, then the default font
+     */
+    resolveReplacement(fontName) {
         const normalized = this.normalizeFontName(fontName);
-        
-        // Check exact match
-        if (this.approvedFonts.includes(normalized)) {
-            return true;
+        const fontClass = this.classifyFont(fontName);
+        const isApprovedTarget = name => this.findApprovedFont(name) !== null;
+
+        const explicit = this.substitutions.find(rule =>
+            rule.from && this.normalizeFontName(rule.from) === normalized && isApprovedTarget(rule.to)
+        );
+        if (explicit) {
+            return {
+                font: explicit.to,
+                fontClass,
+                rule: 'substitution',
+                description: `${fontName} → ${explicit.to}`
+            };
         }
 
-        // Check if font name contains any approved font name
-        for (const approvedFont of this.approvedFonts) {
-            if (normalized.includes(approvedFont) || approvedFont.includes(normalized)) {
-                return true;
+        const classRule = this.substitutions.find(rule =>
+            rule.fromClass === fontClass && isApprovedTarget(rule.to)
+        );
+        if (classRule) {
+            return {
+                font: classRule.to,
+                fontClass,
+                rule: 'class-substitution',
+                description: `any ${fontClass} → ${classRule.to}`
+            };
+        }
+
+        const sameClass = this.fontRules.approved.find(f => this.getApprovedFontClass(f) === fontClass);
+        if (sameClass) {
+            return {
+                font: sameClass.name,
+                fontClass,
+                rule: 'same-class',
+                description: `${fontClass} → ${sameClass.name} (closest approved ${fontClass} font)`
+            };
+        }
+
+        return {
+            font: this.defaultFont.name,
+            fontClass,
+            rule: 'default',
+            description: `no approved ${fontClass} font → ${this.defaultFont.name} (default)`
+        };
+    }
+
+    /**
+     * Convert a font weight (number, numeric string or name like "Bold") to 100-900
+     */
+    normalizeWeight(weight) {
+        if (weight === undefined || weight === null || weight === '') return 400;
+        if (typeof weight === 'number') return weight;
+
+        const numeric = Number(weight);
+        if (!Number.isNaN(numeric)) return numeric;
+
+        const key = String(weight).toLowerCase().replace(/[\s_-]+/g, '');
+        return FONT_WEIGHT_NAMES[key] || 400;
+    }
+
+    /**
+     * Normalize font style to 'normal' or 'italic'
+     */
+    normalizeStyle(style) {
+        const value = String(style || 'normal').toLowerCase();
+        return value === 'italic' || value === 'oblique' ? 'italic' : 'normal';
+    }
+
+    /**
+     * Pick the value in a list closest to a target
+     */
+    nearestValue(values, target) {
+        return values.reduce((best, value) =>
+            Math.abs(value - target) < Math.abs(best - target) ? value : best
+        );
+    }
+
+    /**
+     * Determine the text role of a layer: explicit role, then layer name, then size
+     */
+    getTextRole(layer, size) {
+        const explicit = layer.textRole || layer.role;
+        if (explicit && TEXT_ROLES.includes(explicit)) return explicit;
+
+        const name = (layer.name || '').toLowerCase();
+        for (const role of Object.keys(TEXT_ROLE_KEYWORDS)) {
+            if (TEXT_ROLE_KEYWORDS[role].some(keyword => new RegExp(`\\b${keyword}\\b`).test(name))) {
+                return role;
+            }
+        }
+
+        // Fall back to the role whose type scale has the closest step
+        let closestRole = null;
+        let closestDistance = Infinity;
+        for (const role of TEXT_ROLES) {
+            const sizes = this.roleRules[role] && this.roleRules[role].sizes;
+            if (!sizes || sizes.length === 0 || !size) continue;
+
+            const distance = Math.abs(this.nearestValue(sizes, size) - size);
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closestRole = role;
+            }
+        }
+        return closestRole || 'body';
+    }
+
+    /**
+     * Get the weights allowed for a layer, combining family and role rules
+     */
+    getAllowedWeights(fontRule, role) {
+        const familyWeights = fontRule && fontRule.weights;
+        const roleWeights = this.roleRules[role] && this.roleRules[role].weights;
+
+        if (familyWeights && roleWeights) {
+            const shared = familyWeights.filter(w => roleWeights.includes(w));
+            return shared.length > 0 ? shared : roleWeights;
+        }
+        return familyWeights || roleWeights || null;
+    }
+
+    /**
+     * Get the weight rules (e.g. no Light below 14px) a weight and size break
+     */
+    getBrokenWeightRules(weight, size) {
+        return this.weightRules.filter(rule =>
+            weight <= (rule.maxWeight ?? 300) && size > 0 && size < rule.minSize
+        );
+    }
+
+    /**
+     * Find the nearest weight that satisfies family, role and weight-size rules
+     */
+    getSuggestedWeight(weight, size, fontRule, role) {
+        const allowed = this.getAllowedWeights(fontRule, role) ||
+            [100, 200, 300, 400, 500, 600, 700, 800, 900];
+        const candidates = allowed.filter(w => this.getBrokenWeightRules(w, size).length === 0);
+        const pool = candidates.length > 0 ? candidates : allowed;
+        return this.nearestValue(pool, weight);
+    }
+
+    /**
+     * Check weight, style and size of a text layer set in an approved family
+     */
+    checkTypography(layer, fontRule, match = {}) {
+        const violations = [];
+        // Weight and italics can also come from the name, e.g. "Roboto Bold"
+        const weight = this.normalizeWeight(layer.fontWeight ?? match.impliedWeight);
+        const style = this.normalizeStyle(layer.fontStyle ?? match.impliedStyle);
+        const size = Number(layer.fontSize) || 0;
+        const role = this.getTextRole(layer, size);
+        const suggestedWeight = this.getSuggestedWeight(weight, size, fontRule, role);
+
+        // One weight violation per layer, so fixes never queue two different target weights
+        const allowedWeights = this.getAllowedWeights(fontRule, role);
+        const brokenRules = this.getBrokenWeightRules(weight, size);
+        const sizeRuleMessages = brokenRules.map(rule => rule.description ||
+            `Weight ${weight} is not allowed below ${rule.minSize}px (text is ${size}px)`);
+        if (allowedWeights && !allowedWeights.includes(weight)) {
+            violations.push({
+                violationType: 'weight-not-allowed',
+                role,
+                currentValue: weight,
+                suggestedValue: suggestedWeight,
+                message: [
+                    `Weight ${weight} is not allowed for ${fontRule.name} ${role} text (allowed: ${allowedWeights.join(', ')})`,
+                    ...sizeRuleMessages
+                ].join('; ')
+            });
+        } else if (brokenRules.length > 0) {
+            violations.push({
+                violationType: 'weight-too-light',
+                role,
+                currentValue: weight,
+                suggestedValue: suggestedWeight,
+                message: sizeRuleMessages.join('; ')
+            });
+        }
+
+        const allowedStyles = (fontRule && fontRule.styles) || ['normal', 'italic'];
+        if (!allowedStyles.includes(style)) {
+            violations.push({
+                violationType: 'style-not-allowed',
+                role,
+                currentValue: style,
+                suggestedValue: allowedStyles[0],
+                message: `${style} style is not allowed for ${fontRule.name}`
+            });
+        }
+
+        const sizes = this.roleRules[role] && this.roleRules[role].sizes;
+        if (sizes && sizes.length > 0 && size > 0) {
+            const nearestSize = this.nearestValue(sizes, size);
+            if (Math.abs(nearestSize - size) > SIZE_EPSILON) {
+                violations.push({
+                    violationType: 'size-off-scale',
+                    role,
+                    currentValue: size,
+                    suggestedValue: nearestSize,
+                    message: `${size}px is not on the ${role} type scale (${sizes.join(', ')}px)`
+                });
             }
         }
 
-        return false;
+        return violations;
     }
 
     /**
      * Extract all fonts from the document
+     * `options.layerIds` limits the check to those layers
      */
-    async extractDocumentFonts() {
+    async extractDocumentFonts(options = {}) {
         try {
-            const document = await window.express.document.getDocument();
+            const document = await this.adapter.getDocument();
             const fonts = new Set();
             const fontViolations = [];
 
-            // Get all layers
-            const layers = await document.getLayers();
+            // Walk every layer on every page, including nested groups and artboards
+            const entries = await this.walker.collect(document);
             
-            for (const layer of layers) {
+            for (const entry of entries) {
+                const layer = entry.layer;
+                if (options.layerIds && !options.layerIds.has(layer.id)) continue;
                 if (layer.type === 'text' && layer.fontFamily) {
                     const fontName = layer.fontFamily;
                     fonts.add(fontName);
                     
-                    if (!this.isFontApproved(fontName)) {
+                    const match = this.matchFont(fontName);
+                    const location = {
+                        layerId: layer.id,
+                        layerName: layer.name || 'Unnamed Text',
+                        ...this.walker.describe(entry),
+                        currentFont: fontName
+                    };
+
+                    if (match.status === 'unapproved') {
+                        const replacement = this.resolveReplacement(fontName);
+                        fontViolations.push({
+                            ...location,
+                            violationType: 'unapproved-font',
+                            fontClass: replacement.fontClass,
+                            replacementFont: replacement.font,
+                            substitution: replacement
+                        });
+                        continue;
+                    }
+
+                    if (match.status === 'variant') {
                         fontViolations.push({
-                            layerId: layer.id,
-                            layerName: layer.name || 'Unnamed Text',
-                            currentFont: fontName,
-                            replacementFont: this.defaultFont.name
+                            ...location,
+                            violationType: 'unapproved-variant',
+                            approvedFamily: match.fontRule.name,
+                            variant: match.suffix,
+                            replacementFont: match.fontRule.name,
+                            message: `"${match.suffix}" is not an approved variant of ${match.fontRule.name}`
                         });
+                        continue;
+                    }
+
+                    // Weight, style and size only matter once the family is approved
+                    for (const violation of this.checkTypography(layer, match.fontRule, match)) {
+                        fontViolations.push({ ...location, ...violation });
                     }
                 }
             }
@@ -75,6 +518,7 @@ class FontChecker {
                 isCompliant: fontViolations.length === 0
             };
         } catch (error) {
+            if (!this.adapter.demoFallback) throw error;
             console.error('Error extracting document fonts:', error);
             // Fallback for demo purposes
             return this.getMockFontData();
@@ -82,53 +526,152 @@ class FontChecker {
     }
 
     /**
-     * Fix font violations by replacing with default brand font
+     * Apply the fix for a single font violation
+     * Family and variant violations switch to the resolved replacement font;
+     * weight, style and size violations snap to the suggested value
+     */
+    async applyFontFix(layer, violation) {
+        switch (violation.violationType) {
+            case 'weight-not-allowed':
+            case 'weight-too-light':
+                await this.journal.apply(layer, 'setFontWeight', [violation.suggestedValue], [layer.fontWeight]);
+                return true;
+            case 'style-not-allowed':
+                await this.journal.apply(layer, 'setFontStyle', [violation.suggestedValue], [layer.fontStyle]);
+                return true;
+            case 'size-off-scale':
+                await this.journal.apply(layer, 'setFontSize', [violation.suggestedValue], [layer.fontSize]);
+                return true;
+            default:
+                await this.journal.apply(
+                    layer,
+                    'setFontFamily',
+                    [violation.replacementFont || this.defaultFont.name],
+                    [layer.fontFamily]
+                );
+                return true;
+        }
+    }
+
+    /**
+     * Plan the changes that fix font violations without touching the document
+     * Each change records the layer, the font property, and the old and new value
      */
-    async fixFontViolations() {
+    planFontFixes(violations) {
+        const properties = {
+            'weight-not-allowed': 'fontWeight',
+            'weight-too-light': 'fontWeight',
+            'style-not-allowed': 'fontStyle',
+            'size-off-scale': 'fontSize'
+        };
+
+        return violations.map((violation, index) => {
+            const property = properties[violation.violationType] || 'fontFamily';
+            return {
+                id: `fonts-${index + 1}`,
+                category: 'fonts',
+                layerId: violation.layerId,
+                layerName: violation.layerName,
+                pageName: violation.pageName,
+                layerPath: violation.layerPath,
+                property,
+                oldValue: property === 'fontFamily' ? violation.currentFont : violation.currentValue,
+                newValue: property === 'fontFamily'
+                    ? violation.replacementFont || this.defaultFont.name
+                    : violation.suggestedValue,
+                violation
+            };
+        });
+    }
+
+    /**
+     * Fix font violations by substituting approved fonts and
+     * snapping weight, style and size to the brand type rules
+     * With options.dryRun the planned changes are returned and nothing is applied;
+     * violations options.isIgnored returns true for are not fixed
+     */
+    async fixFontViolations(options = {}) {
         try {
             const fontData = await this.extractDocumentFonts();
-            let fixedCount = 0;
 
-            if (fontData.violations.length === 0) {
-                return { fixed: 0, message: 'No font violations found' };
+            // Violations the user ignored are left as they are
+            const violations = options.isIgnored
+                ? fontData.violations.filter(violation => !options.isIgnored(violation))
+                : fontData.violations;
+            if (violations.length === 0) {
+                return { fixed: 0, message: 'No font violations found', changes: [] };
             }
 
-            const document = await window.express.document.getDocument();
-            const layers = await document.getLayers();
+            const changes = this.planFontFixes(violations);
+            if (options.dryRun) {
+                return {
+                    fixed: 0,
+                    dryRun: true,
+                    message: `${changes.length} font change(s) planned`,
+                    changes
+                };
+            }
+
+            return await this.applyFontChanges(changes);
+        } catch (error) {
+            if (!this.adapter.demoFallback) throw error;
+            console.error('Error fixing font violations:', error);
+            // Fallback for demo
+            return this.journal.getDemoFixResult(
+                'fonts',
+                options,
+                this.planFontFixes(this.getMockFontData().violations)
+            );
+        }
+    }
+
+    /**
+     * Apply planned font changes, e.g. the ones a user accepted in the preview
+     */
+    async applyFontChanges(changes) {
+        const document = await this.adapter.getDocument();
+        const entries = await this.walker.collect(document);
+        const applied = [];
 
-            for (const violation of fontData.violations) {
-                const layer = layers.find(l => l.id === violation.layerId);
+        this.journal.beginRun('Fix fonts');
+        try {
+            for (const change of changes) {
+                const layer = this.walker.findLayer(entries, change.layerId);
                 if (!layer || layer.type !== 'text') continue;
 
                 try {
-                    await layer.setFontFamily(this.defaultFont.name);
-                    fixedCount++;
+                    if (await this.applyFontFix(layer, change.violation)) {
+                        applied.push(change);
+                    }
                 } catch (error) {
-                    console.warn(`Could not fix font for layer ${violation.layerName}:`, error);
+                    console.warn(`Could not fix font for layer ${change.layerName}:`, error);
                 }
             }
-
-            return {
-                fixed: fixedCount,
-                message: `Fixed ${fixedCount} font violation(s)`
-            };
-        } catch (error) {
-            console.error('Error fixing font violations:', error);
-            // Fallback for demo
-            return this.getMockFixResult('fonts');
+        } finally {
+            this.journal.endRun();
         }
+
+        return {
+            fixed: applied.length,
+            message: `Fixed ${applied.length} font violation(s)`,
+            changes: applied
+        };
     }
 
     /**
      * Mock data for demo purposes
      */
     getMockFontData() {
+        const replacement = this.resolveReplacement('Comic Sans MS');
         const mockViolations = [
             {
                 layerId: 'text1',
                 layerName: 'Heading',
                 currentFont: 'Comic Sans MS',
-                replacementFont: this.defaultFont.name
+                violationType: 'unapproved-font',
+                fontClass: replacement.fontClass,
+                replacementFont: replacement.font,
+                substitution: replacement
             }
         ];
 
@@ -138,12 +681,5 @@ class FontChecker {
             isCompliant: false
         };
     }
-
-    getMockFixResult(type) {
-        return {
-            fixed: 1,
-            message: `Fixed 1 ${type} violation (demo mode)`
-        };
-    }
 }
 
@@ -0,0 +1,124 @@
+/**
+ * JSON Document Adapter
+ * Runs the compliance checks against a plain JSON document model, e.g. in Node scripts and tests
+ * Fixes change the model in place, so it can be written back out afterwards
+ *
+ * Model: { id, title, bounds, pages: [{ id, name, bounds, children: [layer] }] }, or a
+ * single page as { bounds, layers: [layer] }. Layers have id, name, type, bounds and, as
+ * they apply, fill/stroke ({ color } or { gradient: { stops } }), effects, textColor,
+ * characterStyleRanges, fontFamily, fontWeight, fontStyle, fontSize, children (groups and
+ * artboards) and imageData ({ width, height, data } RGBA) or imageUrl for image layers
+ */
+
+import { DocumentAdapter } from './documentAdapter.js';
+
+/**
+ * Copy a color, which is an { r, g, b } object or a hex string
+ */
+function copyColor(color) {
+    return color && typeof color === 'object' ? { ...color } : color;
+}
+
+export class JsonDocumentAdapter extends DocumentAdapter {
+    /**
+     * options.loadImagePixels(src) loads logo reference images; without it, logos are
+     * recognized by name only
+     */
+    constructor(model, options = {}) {
+        super();
+        this.model = model;
+        this.imageLoader = options.loadImagePixels || null;
+    }
+
+    /**
+     * Get the document model
+     */
+    async getDocument() {
+        return this.model;
+    }
+
+    async setFillColor(layer, color) {
+        layer.fill = { ...layer.fill, color: copyColor(color) };
+    }
+
+    async setStrokeColor(layer, color) {
+        layer.stroke = { ...layer.stroke, color: copyColor(color) };
+    }
+
+    async setTextColor(layer, color) {
+        layer.textColor = copyColor(color);
+    }
+
+    /**
+     * Ranges are stored back to back, so a range is found by adding up the preceding lengths
+     */
+    async setTextRangeColor(layer, start, length, color) {
+        let offset = 0;
+        for (const range of layer.characterStyleRanges || []) {
+            if (offset === start && (range.length || 0) === length) {
+                range.color = copyColor(color);
+                return;
+            }
+            offset += range.length || 0;
+        }
+        throw new Error(`${layer.name || layer.id} has no text range at ${start} with length ${length}`);
+    }
+
+    async setGradientStopColor(layer, property, stopIndex, color) {
+        const paint = layer[property] || {};
+        const stops = (paint.gradient && paint.gradient.stops) || paint.stops;
+        if (!Array.isArray(stops) || !stops[stopIndex]) {
+            throw new Error(`${layer.name || layer.id} has no ${property} gradient stop ${stopIndex}`);
+        }
+        stops[stopIndex] = { ...stops[stopIndex], color: copyColor(color) };
+    }
+
+    async setEffectColor(layer, effectIndex, color) {
+        const effects = layer.effects || [];
+        if (!effects[effectIndex]) {
+            throw new Error(`${layer.name || layer.id} has no effect ${effectIndex}`);
+        }
+        effects[effectIndex] = { ...effects[effectIndex], color: copyColor(color) };
+    }
+
+    async setFontFamily(layer, fontFamily) {
+        layer.fontFamily = fontFamily;
+    }
+
+    async setFontWeight(layer, fontWeight) {
+        layer.fontWeight = fontWeight;
+    }
+
+    async setFontStyle(layer, fontStyle) {
+        layer.fontStyle = fontStyle;
+    }
+
+    async setFontSize(layer, fontSize) {
+        layer.fontSize = fontSize;
+    }
+
+    async setBounds(layer, bounds) {
+        layer.bounds = { ...bounds };
+    }
+
+    /**
+     * Record the selection in the model
+     */
+    async selectLayer(document, layer) {
+        document.selection = [layer.id];
+        return true;
+    }
+
+    /**
+     * Image layers carry their pixels in the model, or link them through imageUrl
+     */
+    async getLayerPixels(layer) {
+        if (layer.imageData) return layer.imageData;
+        return super.getLayerPixels(layer);
+    }
+
+    async loadImagePixels(src) {
+        if (!this.imageLoader) throw this.unsupported(`loading images (${src})`);
+        return this.imageLoader(src);
+    }
+}
@@ -3,11 +3,76 @@
  * Validates logo placement, size, and aspect ratio against brand guidelines
  */
 
-class LogoChecker {
-    constructor(brandRules) {
+import { DocumentWalker } from './documentWalker.js';
+import { FixJournal } from './fixJournal.js';
+import { LogoRecognizer } from './logoRecognizer.js';
+
+// Rule fields a variant inherits from the top-level logo rules unless it overrides them
+const LOGO_SHARED_RULES = [
+    'minWidth',
+    'minHeight',
+    'maxWidth',
+    'maxHeight',
+    'relativeSize',
+    'formats',
+    'aspectRatio',
+    'allowedPositions',
+    'minDistanceFromEdge',
+    'preferredPosition',
+    'clearSpace'
+];
+
+const CLEAR_SPACE_STRATEGIES = ['move-logo', 'move-intruders'];
+
+// Canvas size difference in px still treated as an exact format match
+const FORMAT_SIZE_TOLERANCE = 1;
+
+// Issues fixed by resizing the logo
+const SIZE_ISSUE_TYPES = ['altered', 'too-small', 'too-large', 'aspect-ratio'];
+
+// Minimum distance in px between a logo and the canvas edges when the rules set none
+const DEFAULT_MIN_EDGE_DISTANCE = 20;
+
+// Width and height in px of the square canvas the demo logo is fixed on
+const MOCK_CANVAS_SIZE = 1080;
+
+export class LogoChecker {
+    constructor(brandRules, adapter) {
+        this.adapter = adapter;
         this.brandRules = brandRules;
         this.logoRules = brandRules.logo;
         this.identifier = this.logoRules.identifier || 'logo';
+        this.variants = this.buildVariants(this.logoRules);
+        this.recognizer = new LogoRecognizer(this.logoRules, this.variants, adapter);
+        this.walker = new DocumentWalker();
+        this.journal = new FixJournal(adapter);
+    }
+
+    /**
+     * Build the list of logo variants with their effective rules
+     * Rules without a `variants` list describe a single default variant
+     */
+    buildVariants(logoRules) {
+        const variantRules = Array.isArray(logoRules.variants) && logoRules.variants.length > 0
+            ? logoRules.variants
+            : [{ id: 'default', name: 'Logo', identifiers: [this.identifier] }];
+
+        return variantRules.map((variant, index) => {
+            const rules = {};
+            for (const key of LOGO_SHARED_RULES) {
+                rules[key] = variant[key] !== undefined ? variant[key] : logoRules[key];
+            }
+
+            return {
+                id: variant.id || `variant-${index + 1}`,
+                name: variant.name || variant.id || `Variant ${index + 1}`,
+                identifiers: (variant.identifiers || [variant.identifier || variant.id])
+                    .filter(Boolean)
+                    .map(id => id.toLowerCase()),
+                references: variant.references || [],
+                rules
+            };
+        });
     }
 
     /**
@@ -15,13 +80,70 @@ class LogoChecker {
      */
     isLogoLayer(layer) {
         if (!layer || !layer.name) return false;
-        
+
         const layerName = layer.name.toLowerCase();
         const identifier = this.identifier.toLowerCase();
-        
-        return layerName.includes(identifier) || 
-               layerName === 'logo' || 
-               layerName === 'brand';
+
+        return layerName.includes(identifier) ||
+               layerName === 'logo' ||
+               layerName === 'brand' ||
+               this.variants.some(v => v.identifiers.some(id => layerName.includes(id)));
+    }
+
+    /**
+     * Work out which logo variant a layer is
+     * The longest identifier found in the layer name wins; a generic match
+     * (e.g. just "logo") falls back to the variant whose aspect ratio fits best
+     */
+    matchVariant(layer) {
+        const layerName = (layer.name || '').toLowerCase();
+        let best = null;
+        let bestLength = 0;
+
+        for (const variant of this.variants) {
+            for (const id of variant.identifiers) {
+                if (layerName.includes(id) && id.length > bestLength) {
+                    best = variant;
+                    bestLength = id.length;
+                }
+            }
+        }
+
+        const genericIdentifiers = [this.identifier.toLowerCase(), 'logo', 'brand'];
+        const isGenericMatch = !best || genericIdentifiers.includes(
+            best.identifiers.find(id => layerName.includes(id) && id.length === bestLength)
+        );
+
+        if (isGenericMatch && this.variants.length > 1) {
+            const bounds = layer.bounds || {};
+            const ratio = this.getAspectRatio(bounds.width || 0, bounds.height || 0);
+            return { variant: this.closestVariantByAspectRatio(ratio), matchedBy: 'aspect-ratio' };
+        }
+
+        return { variant: best || this.variants[0], matchedBy: 'name' };
+    }
+
+    /**
+     * Find the variant whose allowed aspect ratio range is closest to a ratio
+     */
+    closestVariantByAspectRatio(ratio) {
+        let closest = this.variants[0];
+        let closestDistance = Infinity;
+
+        for (const variant of this.variants) {
+            const range = variant.rules.aspectRatio;
+            if (!range) continue;
+
+            const distance = ratio < range.min ? range.min - ratio
+                : ratio > range.max ? ratio - range.max
+                : 0;
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closest = variant;
+            }
+        }
+
+        return closest;
     }
 
     /**
@@ -32,41 +154,154 @@ class LogoChecker {
         return width / height;
     }
 
+    /**
+     * Find the format override that applies to a canvas
+     * Formats are matched by exact canvas size first, then by canvas aspect ratio
+     */
+    findFormat(formats, canvas) {
+        if (!Array.isArray(formats) || !canvas || !canvas.width || !canvas.height) return null;
+
+        const bySize = formats.find(format => {
+            const match = format.match || {};
+            return match.width !== undefined && match.height !== undefined &&
+                Math.abs(match.width - canvas.width) <= FORMAT_SIZE_TOLERANCE &&
+                Math.abs(match.height - canvas.height) <= FORMAT_SIZE_TOLERANCE;
+        });
+        if (bySize) return bySize;
+
+        const ratio = this.getAspectRatio(canvas.width, canvas.height);
+        return formats.find(format => {
+            const range = format.match && format.match.aspectRatio;
+            return range &&
+                (range.min === undefined || ratio >= range.min) &&
+                (range.max === undefined || ratio <= range.max);
+        }) || null;
+    }
+
+    /**
+     * Get a variant's rules for a canvas, with any matching format override applied
+     */
+    getEffectiveRules(variant, canvas) {
+        const format = this.findFormat(variant.rules.formats, canvas);
+        if (!format) return { rules: variant.rules, format: null };
+
+        const rules = { ...variant.rules };
+        for (const key of LOGO_SHARED_RULES) {
+            if (key !== 'formats' && format[key] !== undefined) rules[key] = format[key];
+        }
+        return { rules, format: format.name || 'custom format' };
+    }
+
+    /**
+     * Resolve the allowed logo size range in px on a canvas
+     * Absolute limits and `relativeSize` percentages of the canvas are combined,
+     * taking the stricter of each; a missing limit is 0 (min) or Infinity (max)
+     */
+    getSizeLimits(rules, canvas) {
+        const relative = rules.relativeSize || {};
+        const limits = {};
+
+        for (const [dimension, key] of [['width', 'Width'], ['height', 'Height']]) {
+            const range = relative[dimension] || {};
+            const canvasSize = canvas && canvas[dimension];
+            let min = rules[`min${key}`] || 0;
+            let max = rules[`max${key}`] || Infinity;
+
+            if (canvasSize && range.min !== undefined) min = Math.max(min, canvasSize * range.min / 100);
+            if (canvasSize && range.max !== undefined) max = Math.min(max, canvasSize * range.max / 100);
+
+            limits[`min${key}`] = min;
+            // A relative maximum below an absolute minimum cannot both be met; the minimum wins
+            limits[`max${key}`] = Math.max(min, max);
+        }
+
+        return limits;
+    }
+
+    /**
+     * Describe a size limit that comes from the canvas, e.g. ", 12% of canvas width"
+     */
+    describeSizeLimit(rules, dimension, bound, value, canvas) {
+        const range = (rules.relativeSize || {})[dimension] || {};
+        const percent = range[bound];
+        const canvasSize = canvas && canvas[dimension];
+        if (percent === undefined || !canvasSize || Math.abs(canvasSize * percent / 100 - value) > 0.5) {
+            return '';
+        }
+        return `, ${percent}% of canvas ${dimension}`;
+    }
+
+    /**
+     * Check logo size against the resolved limits
+     * Returns the limits and a typed issue ('too-small' or 'too-large') per dimension out of range
+     */
+    checkSize(bounds, rules, canvas, format) {
+        const limits = this.getSizeLimits(rules, canvas);
+        const formatNote = format ? ` for ${format}` : '';
+        const issues = [];
+
+        for (const dimension of ['width', 'height']) {
+            const key = dimension === 'width' ? 'Width' : 'Height';
+            const value = bounds[dimension] || 0;
+            const min = limits[`min${key}`];
+            const max = limits[`max${key}`];
+            const label = `Logo ${dimension} (${Math.round(value)}px)`;
+
+            if (value < min) {
+                issues.push({
+                    type: 'too-small',
+                    message: `${label} is below minimum (${Math.round(min)}px` +
+                        `${this.describeSizeLimit(rules, dimension, 'min', min, canvas)})${formatNote}`
+                });
+            } else if (value > max) {
+                issues.push({
+                    type: 'too-large',
+                    message: `${label} is above maximum (${Math.round(max)}px` +
+                        `${this.describeSizeLimit(rules, dimension, 'max', max, canvas)})${formatNote}`
+                });
+            }
+        }
+
+        return { limits, issues };
+    }
+
     /**
      * Check if position is within allowed positions
+     * Positions and edge distances are measured on the canvas, which need not start at 0,0
      */
-    isPositionAllowed(bounds, documentWidth, documentHeight) {
-        const rules = this.logoRules;
-        const minDistance = rules.minDistanceFromEdge || 20;
-        
-        const centerX = bounds.x + bounds.width / 2;
-        const centerY = bounds.y + bounds.height / 2;
-        
-        const isTop = centerY < documentHeight / 3;
-        const isBottom = centerY > (documentHeight * 2) / 3;
-        const isLeft = centerX < documentWidth / 3;
-        const isRight = centerX > (documentWidth * 2) / 3;
-
-        const position = 
+    isPositionAllowed(bounds, canvas, rules = this.logoRules) {
+        const minDistance = rules.minDistanceFromEdge ?? DEFAULT_MIN_EDGE_DISTANCE;
+        const left = canvas.x || 0;
+        const top = canvas.y || 0;
+
+        const centerX = bounds.x + bounds.width / 2 - left;
+        const centerY = bounds.y + bounds.height / 2 - top;
+
+        const isTop = centerY < canvas.height / 3;
+        const isBottom = centerY > (canvas.height * 2) / 3;
+        const isLeft = centerX < canvas.width / 3;
+        const isRight = centerX > (canvas.width * 2) / 3;
+
+        const position =
             (isTop && isLeft) ? 'top-left' :
             (isTop && isRight) ? 'top-right' :
             (isBottom && isLeft) ? 'bottom-left' :
             (isBottom && isRight) ? 'bottom-right' : 'center';
 
         const allowed = rules.allowedPositions || [];
-        
+
         // Check if position is allowed
         if (!allowed.includes(position)) {
             return { allowed: false, position, reason: 'Position not in allowed list' };
         }
 
         // Check minimum distance from edges
-        const distanceFromLeft = bounds.x;
-        const distanceFromRight = documentWidth - (bounds.x + bounds.width);
-        const distanceFromTop = bounds.y;
-        const distanceFromBottom = documentHeight - (bounds.y + bounds.height);
+        const distanceFromLeft = bounds.x - left;
+        const distanceFromRight = left + canvas.width - (bounds.x + bounds.width);
+        const distanceFromTop = bounds.y - top;
+        const distanceFromBottom = top + canvas.height - (bounds.y + bounds.height);
 
-        if (distanceFromLeft < minDistance || 
+        if (distanceFromLeft < minDistance ||
             distanceFromRight < minDistance ||
             distanceFromTop < minDistance ||
             distanceFromBottom < minDistance) {
@@ -77,72 +312,294 @@ class LogoChecker {
     }
 
     /**
-     * Find and validate logo in document
+     * Get the clear space margin in px for a logo
+     * `clearSpace` is a px number, { px }, or { heightMultiple } (a fraction of the logo height)
      */
-    async validateLogo() {
-        try {
-            const document = await window.express.document.getDocument();
-            const layers = await document.getLayers();
-            
-            // Find logo layer
-            const logoLayer = layers.find(layer => this.isLogoLayer(layer));
-            
-            if (!logoLayer) {
-                return {
-                    found: false,
-                    isCompliant: false,
-                    violations: ['Logo not found in document'],
-                    message: 'No logo layer detected. Name a layer "logo" to enable validation.'
-                };
+    getClearSpaceMargin(rules, logoHeight) {
+        const clearSpace = rules.clearSpace;
+        if (clearSpace === undefined || clearSpace === null) return 0;
+        if (typeof clearSpace === 'number') return clearSpace;
+        if (clearSpace.heightMultiple !== undefined) return clearSpace.heightMultiple * logoHeight;
+        return clearSpace.px || 0;
+    }
+
+    /**
+     * Expand bounds by a margin on every side
+     */
+    expandBounds(bounds, margin) {
+        return {
+            x: bounds.x - margin,
+            y: bounds.y - margin,
+            width: bounds.width + margin * 2,
+            height: bounds.height + margin * 2
+        };
+    }
+
+    /**
+     * Check if two bounds rectangles overlap
+     */
+    boundsOverlap(a, b) {
+        return a.x < b.x + b.width &&
+               a.x + a.width > b.x &&
+               a.y < b.y + b.height &&
+               a.y + a.height > b.y;
+    }
+
+    /**
+     * Check if bounds a fully contain bounds b
+     */
+    boundsContain(a, b) {
+        return a.x <= b.x &&
+               a.y <= b.y &&
+               a.x + a.width >= b.x + b.width &&
+               a.y + a.height >= b.y + b.height;
+    }
+
+    /**
+     * Get the layers that could intrude into a logo's clear space
+     * Only leaf layers on the same canvas count; the logo's own parts and the
+     * groups it sits in are excluded
+     */
+    getClearSpaceCandidates(logoEntry, entries) {
+        const parents = new Map(entries.map(e => [e.layer, e.parent]));
+        const isInside = (layer, ancestor) => {
+            for (let current = parents.get(layer); current; current = parents.get(current)) {
+                if (current === ancestor) return true;
             }
+            return false;
+        };
+
+        return entries.filter(e =>
+            e.layer !== logoEntry.layer &&
+            e.page.id === logoEntry.page.id &&
+            e.canvasBounds === logoEntry.canvasBounds &&
+            e.layer.bounds &&
+            !this.walker.isContainer(e.layer) &&
+            !isInside(e.layer, logoEntry.layer) &&
+            !isInside(logoEntry.layer, e.layer)
+        );
+    }
+
+    /**
+     * Clip bounds to a canvas; without a canvas the bounds are returned as is
+     */
+    clipToCanvas(bounds, canvas) {
+        if (!canvas) return bounds;
+        const left = Math.max(bounds.x, canvas.x || 0);
+        const top = Math.max(bounds.y, canvas.y || 0);
+        const right = Math.min(bounds.x + bounds.width, (canvas.x || 0) + canvas.width);
+        const bottom = Math.min(bounds.y + bounds.height, (canvas.y || 0) + canvas.height);
+        return { x: left, y: top, width: Math.max(0, right - left), height: Math.max(0, bottom - top) };
+    }
+
+    /**
+     * Find candidate layers inside the clear space zone around bounds
+     * Layers that fully cover the visible part of the zone are backdrops
+     * (e.g. a background fill), not intrusions
+     */
+    findClearSpaceIntruders(bounds, margin, candidates, canvas = null) {
+        const zone = this.expandBounds(bounds, margin);
+        const visibleZone = this.clipToCanvas(zone, canvas);
+        return candidates.filter(c =>
+            this.boundsOverlap(zone, c.layer.bounds) && !this.boundsContain(c.layer.bounds, visibleZone)
+        );
+    }
+
+    /**
+     * Recognize an image layer by content, ignoring layers that cannot be read
+     */
+    async recognizeLayer(layer) {
+        if (layer.type !== 'image') return null;
 
-            const violations = [];
-            const rules = this.logoRules;
+        try {
+            return await this.recognizer.recognize(layer);
+        } catch (error) {
+            console.warn(`Could not recognize image layer ${layer.name || layer.id}:`, error);
+            return null;
+        }
+    }
 
-            // Check size
-            const bounds = logoLayer.bounds || {};
-            const width = bounds.width || 0;
-            const height = bounds.height || 0;
+    /**
+     * Find every logo layer in the document, by name or by image content
+     * Layers nested inside a matched logo (e.g. the parts of a logo group) are
+     * part of that logo and are not matched again
+     */
+    async findLogoEntries(entries) {
+        const logoEntries = [];
+        const insideLogo = new Set();
 
-            if (width < rules.minWidth) {
-                violations.push(`Logo width (${Math.round(width)}px) is below minimum (${rules.minWidth}px)`);
+        for (const entry of entries) {
+            if (entry.parent && insideLogo.has(entry.parent)) {
+                insideLogo.add(entry.layer);
+                continue;
             }
 
-            if (height < rules.minHeight) {
-                violations.push(`Logo height (${Math.round(height)}px) is below minimum (${rules.minHeight}px)`);
+            const isNamedLogo = this.isLogoLayer(entry.layer);
+            const recognition = await this.recognizeLayer(entry.layer);
+            if (isNamedLogo || recognition) {
+                logoEntries.push({ entry, recognition, isNamedLogo });
+                insideLogo.add(entry.layer);
             }
+        }
+
+        return logoEntries;
+    }
 
-            // Check aspect ratio
-            const aspectRatio = this.getAspectRatio(width, height);
-            if (aspectRatio < rules.aspectRatio.min || aspectRatio > rules.aspectRatio.max) {
-                violations.push(
-                    `Logo aspect ratio (${aspectRatio.toFixed(2)}) is outside allowed range ` +
+    /**
+     * Validate a single logo instance against its variant's rules
+     * Logos recognized by image content use the variant of the matched reference
+     * Each problem is recorded as a typed issue (altered, too-small, too-large,
+     * aspect-ratio, position, clear-space) and as a violation message
+     */
+    validateLogoInstance(entry, recognition = null, isNamedLogo = true, entries = []) {
+        const logoLayer = entry.layer;
+        let { variant, matchedBy } = this.matchVariant(logoLayer);
+        if (recognition && (!isNamedLogo || matchedBy === 'aspect-ratio')) {
+            variant = this.variants.find(v => v.id === recognition.variantId) || variant;
+            matchedBy = 'image';
+        }
+        const docBounds = entry.canvasBounds;
+        const { rules, format } = this.getEffectiveRules(variant, docBounds);
+        const issues = [];
+
+        if (recognition && recognition.isAltered) {
+            issues.push({
+                type: 'altered',
+                message: `Altered logo (${recognition.alterations.join(', ')}): ` +
+                    `${recognition.similarity}% similar to the ${recognition.variantName} reference`
+            });
+        }
+
+        // Check size against absolute and canvas-relative limits
+        const bounds = logoLayer.bounds || {};
+        const width = bounds.width || 0;
+        const height = bounds.height || 0;
+        const sizeCheck = this.checkSize(bounds, rules, docBounds, format);
+        issues.push(...sizeCheck.issues);
+
+        // Check aspect ratio
+        const aspectRatio = this.getAspectRatio(width, height);
+        if (rules.aspectRatio &&
+            (aspectRatio < rules.aspectRatio.min || aspectRatio > rules.aspectRatio.max)) {
+            issues.push({
+                type: 'aspect-ratio',
+                message: `Logo aspect ratio (${aspectRatio.toFixed(2)}) is outside allowed range ` +
                     `(${rules.aspectRatio.min} - ${rules.aspectRatio.max})`
-                );
+            });
+        }
+
+        // Check position relative to the artboard or page the logo sits on;
+        // with no known canvas there is nothing to measure against
+        const positionCheck = docBounds
+            ? this.isPositionAllowed(bounds, docBounds, rules)
+            : { allowed: true, position: 'unknown' };
+
+        if (!positionCheck.allowed) {
+            issues.push({
+                type: 'position',
+                message: `Logo position (${positionCheck.position}) is not allowed: ${positionCheck.reason}`
+            });
+        }
+
+        // Check clear space around the logo
+        const margin = this.getClearSpaceMargin(rules, height);
+        // Other content on the canvas; also used to place the logo when fixing
+        const candidates = this.getClearSpaceCandidates(entry, entries);
+        const intruders = this.findClearSpaceIntruders(bounds, margin, candidates, docBounds);
+        if (intruders.length > 0) {
+            issues.push({
+                type: 'clear-space',
+                message: `Clear space (${Math.round(margin)}px) is intruded by: ` +
+                    intruders.map(i => i.layer.name || 'Unnamed Layer').join(', ')
+            });
+        }
+
+        return {
+            layerId: logoLayer.id,
+            layerName: logoLayer.name || 'Unnamed Layer',
+            ...this.walker.describe(entry),
+            variant: { id: variant.id, name: variant.name },
+            matchedBy,
+            recognition,
+            isCompliant: issues.length === 0,
+            violations: issues.map(issue => issue.message),
+            issues,
+            logoLayer,
+            rules,
+            format,
+            sizeLimits: sizeCheck.limits,
+            canvasBounds: docBounds,
+            bounds,
+            aspectRatio,
+            position: positionCheck.position,
+            clearSpace: {
+                margin,
+                intruders: intruders.map(i => ({
+                    layerId: i.layer.id,
+                    layerName: i.layer.name || 'Unnamed Layer',
+                    layerPath: i.path.join(' / ')
+                })),
+                candidates
             }
+        };
+    }
 
-            // Check position
-            const docBounds = document.bounds || { width: 1920, height: 1080 };
-            const positionCheck = this.isPositionAllowed(
-                bounds,
-                docBounds.width || 1920,
-                docBounds.height || 1080
-            );
+    /**
+     * Find and validate every logo in the document
+     */
+    async validateLogo() {
+        try {
+            const document = await this.adapter.getDocument();
+            const entries = await this.walker.collect(document);
+
+            // Find logo layers anywhere in the document, including inside groups
+            const logoEntries = await this.findLogoEntries(entries);
 
-            if (!positionCheck.allowed) {
-                violations.push(`Logo position (${positionCheck.position}) is not allowed: ${positionCheck.reason}`);
+            if (logoEntries.length === 0) {
+                return {
+                    found: false,
+                    isCompliant: false,
+                    violations: ['Logo not found in document'],
+                    issues: [{ type: 'missing', message: 'Logo not found in document' }],
+                    instances: [],
+                    message: 'No logo layer detected. Name a layer "logo" or add reference artwork to enable validation.'
+                };
             }
 
+            const instances = logoEntries.map(({ entry, recognition, isNamedLogo }) =>
+                this.validateLogoInstance(entry, recognition, isNamedLogo, entries)
+            );
+            const first = instances[0];
+
             return {
                 found: true,
-                isCompliant: violations.length === 0,
-                violations,
-                logoLayer,
-                bounds,
-                aspectRatio,
-                position: positionCheck.position
+                isCompliant: instances.every(instance => instance.isCompliant),
+                // Prefix each message with the layer and variant it belongs to
+                violations: instances.flatMap(instance =>
+                    instance.violations.map(v => `${instance.layerName} (${instance.variant.name}): ${v}`)
+                ),
+                issues: instances.flatMap(instance =>
+                    instance.issues.map(issue => ({
+                        ...issue,
+                        layerId: instance.layerId,
+                        layerName: instance.layerName,
+                        pageId: instance.pageId,
+                        pageName: instance.pageName,
+                        layerPath: instance.layerPath
+                    }))
+                ),
+                instances,
+                logoLayer: first.logoLayer,
+                pageId: first.pageId,
+                pageName: first.pageName,
+                layerPath: first.layerPath,
+                canvasBounds: first.canvasBounds,
+                bounds: first.bounds,
+                aspectRatio: first.aspectRatio,
+                position: first.position
             };
         } catch (error) {
+            if (!this.adapter.demoFallback) throw error;
             console.error('Error validating logo:', error);
             // Fallback for demo
             return this.getMockLogoData();
@@ -150,121 +607,501 @@ class LogoChecker {
     }
 
     /**
-     * Fix logo violations
+     * Smallest move that takes bounds b out of a zone, in one direction
      */
-    async fixLogoViolations() {
-        try {
-            const validation = await this.validateLogo();
-            let fixedCount = 0;
-            const fixes = [];
+    getNudgeOutOfZone(zone, b) {
+        const moves = [
+            { dx: zone.x - (b.x + b.width), dy: 0 },
+            { dx: zone.x + zone.width - b.x, dy: 0 },
+            { dx: 0, dy: zone.y - (b.y + b.height) },
+            { dx: 0, dy: zone.y + zone.height - b.y }
+        ];
+        return moves.reduce((best, move) =>
+            Math.abs(move.dx) + Math.abs(move.dy) < Math.abs(best.dx) + Math.abs(best.dy) ? move : best
+        );
+    }
 
-            if (!validation.found) {
-                return { fixed: 0, message: validation.message };
+    /**
+     * Find the smallest offset for the logo that clears every intruder while
+     * keeping the logo in an allowed position
+     * Tries moving away from each intruder, and from each pair of intruders
+     */
+    findClearLogoOffset(bounds, margin, candidates, docBounds, rules) {
+        const zone = this.expandBounds(bounds, margin);
+        const intruders = this.findClearSpaceIntruders(bounds, margin, candidates, docBounds);
+        const single = [];
+        for (const intruder of intruders) {
+            const b = intruder.layer.bounds;
+            // Moving the zone is the reverse of moving the intruder out of it
+            single.push(
+                { dx: b.x + b.width - zone.x, dy: 0 },
+                { dx: b.x - (zone.x + zone.width), dy: 0 },
+                { dx: 0, dy: b.y + b.height - zone.y },
+                { dx: 0, dy: b.y - (zone.y + zone.height) }
+            );
+        }
+
+        const offsets = [...single];
+        for (let i = 0; i < single.length; i++) {
+            for (let j = i + 1; j < single.length; j++) {
+                offsets.push({ dx: single[i].dx + single[j].dx, dy: single[i].dy + single[j].dy });
             }
+        }
+        offsets.sort((a, b) => (Math.abs(a.dx) + Math.abs(a.dy)) - (Math.abs(b.dx) + Math.abs(b.dy)));
 
-            if (validation.isCompliant) {
-                return { fixed: 0, message: 'Logo is already compliant' };
+        for (const offset of offsets) {
+            const moved = { ...bounds, x: bounds.x + offset.dx, y: bounds.y + offset.dy };
+            const clear = this.findClearSpaceIntruders(moved, margin, candidates, docBounds).length === 0;
+            if (clear && (!docBounds || this.isPositionAllowed(moved, docBounds, rules).allowed)) {
+                return offset;
             }
+        }
+        return null;
+    }
 
-            const logoLayer = validation.logoLayer;
-            const rules = this.logoRules;
-            const bounds = validation.bounds;
+    /**
+     * Restore the clear space around a logo, either by moving the logo or by
+     * nudging the intruding layers out of the zone
+     * Returns { description, moves } for the layers moved, or null if nothing was changed
+     * With dryRun the moves are worked out but not applied
+     */
+    async fixClearSpace(instance, bounds, strategy, dryRun = false) {
+        const rules = instance.rules;
+        const candidates = (instance.clearSpace && instance.clearSpace.candidates) || [];
+        const margin = this.getClearSpaceMargin(rules, bounds.height);
+        const intruders = this.findClearSpaceIntruders(bounds, margin, candidates, instance.canvasBounds);
+        if (intruders.length === 0) return null;
 
-            // Fix size if needed
-            let newWidth = bounds.width;
-            let newHeight = bounds.height;
+        if (strategy === 'move-logo') {
+            const offset = this.findClearLogoOffset(bounds, margin, candidates, instance.canvasBounds, rules);
+            if (!offset) {
+                console.warn('Could not find a clear spot for the logo');
+                return null;
+            }
 
-            if (bounds.width < rules.minWidth) {
-                newWidth = rules.minWidth;
-                fixes.push('width');
+            const after = { ...bounds, x: bounds.x + offset.dx, y: bounds.y + offset.dy };
+            if (!dryRun) {
+                await this.journal.apply(instance.logoLayer, 'setBounds', [after], [instance.logoLayer.bounds]);
             }
+            return {
+                description: 'clear space (moved logo)',
+                moves: [this.createMove(instance.logoLayer, bounds, after)]
+            };
+        }
 
-            if (bounds.height < rules.minHeight) {
-                newHeight = rules.minHeight;
-                fixes.push('height');
+        const zone = this.expandBounds(bounds, margin);
+        const moves = [];
+        for (const intruder of intruders) {
+            const b = intruder.layer.bounds;
+            const nudge = this.getNudgeOutOfZone(zone, b);
+            const after = { ...b, x: b.x + nudge.dx, y: b.y + nudge.dy };
+            try {
+                if (!dryRun) await this.journal.apply(intruder.layer, 'setBounds', [after], [b]);
+                moves.push(this.createMove(intruder.layer, b, after));
+            } catch (error) {
+                console.warn(`Could not move ${intruder.layer.name || 'layer'} out of the logo clear space:`, error);
             }
+        }
+        return moves.length > 0
+            ? { description: `clear space (moved ${moves.length} layer(s))`, moves }
+            : null;
+    }
+
+    /**
+     * Record a layer's bounds before and after a fix, as a change
+     */
+    createMove(layer, before, after) {
+        const pick = b => ({ x: b.x, y: b.y, width: b.width, height: b.height });
+        return {
+            category: 'logo',
+            layerId: layer.id,
+            layerName: layer.name || 'Unnamed Layer',
+            property: 'bounds',
+            oldValue: pick(before),
+            newValue: pick(after)
+        };
+    }
+
+    /**
+     * Resolve how clear space violations are fixed: explicit option, then brand rules
+     */
+    getClearSpaceStrategy(rules, options = {}) {
+        const configured = rules.clearSpace && rules.clearSpace.fixStrategy;
+        const strategy = options.clearSpaceStrategy || configured;
+        return CLEAR_SPACE_STRATEGIES.includes(strategy) ? strategy : 'move-intruders';
+    }
+
+    /**
+     * Work out the compliant logo size without distorting the artwork
+     * The aspect ratio is only changed when it is itself a violation (the
+     * reference proportions for stretched artwork, otherwise the nearest allowed
+     * ratio at the same area); the result is then scaled uniformly into the size limits
+     */
+    getCompliantSize(instance) {
+        const rules = instance.rules;
+        const bounds = instance.bounds;
+        const limits = instance.sizeLimits || this.getSizeLimits(rules, instance.canvasBounds);
+        const fixes = [];
+        let width = bounds.width;
+        let height = bounds.height;
+
+        const aspectRatio = this.getAspectRatio(width, height);
+        const recognition = instance.recognition;
+        let targetRatio = aspectRatio;
+        if (recognition && recognition.alterations.includes('stretched') && recognition.referenceAspectRatio > 0) {
+            targetRatio = recognition.referenceAspectRatio;
+            fixes.push('stretching');
+        } else if (rules.aspectRatio && aspectRatio < rules.aspectRatio.min) {
+            targetRatio = rules.aspectRatio.min;
+            fixes.push('aspect ratio');
+        } else if (rules.aspectRatio && aspectRatio > rules.aspectRatio.max) {
+            targetRatio = rules.aspectRatio.max;
+            fixes.push('aspect ratio');
+        }
+
+        if (targetRatio !== aspectRatio && targetRatio > 0) {
+            const area = width * height;
+            width = Math.sqrt(area * targetRatio);
+            height = Math.sqrt(area / targetRatio);
+        }
+
+        // Smallest and largest uniform scale that keep both dimensions within limits
+        const minScale = Math.max(limits.minWidth / width, limits.minHeight / height);
+        const maxScale = Math.min(limits.maxWidth / width, limits.maxHeight / height);
+        const scale = minScale > 1 ? minScale : Math.min(1, maxScale);
+        if (scale !== 1 && Number.isFinite(scale) && scale > 0) {
+            width *= scale;
+            height *= scale;
+            fixes.push(scale > 1 ? 'scaled up' : 'scaled down');
+        }
+
+        return { width, height, fixes };
+    }
+
+    /**
+     * Keep a resized logo anchored to the corner (or center) it was placed in
+     */
+    anchorResize(bounds, width, height, position) {
+        const anchorRight = position === 'top-right' || position === 'bottom-right';
+        const anchorBottom = position === 'bottom-left' || position === 'bottom-right';
+        const anchorCenter = position === 'center';
+
+        return {
+            x: anchorCenter ? bounds.x + (bounds.width - width) / 2
+                : anchorRight ? bounds.x + bounds.width - width
+                : bounds.x,
+            y: anchorCenter ? bounds.y + (bounds.height - height) / 2
+                : anchorBottom ? bounds.y + bounds.height - height
+                : bounds.y,
+            width,
+            height
+        };
+    }
+
+    /**
+     * Get the bounds of a logo of the given size placed at an allowed position
+     */
+    getPositionBounds(position, width, height, docBounds, rules) {
+        const minDistance = rules.minDistanceFromEdge ?? DEFAULT_MIN_EDGE_DISTANCE;
+        const originX = docBounds.x || 0;
+        const originY = docBounds.y || 0;
+        const left = originX + minDistance;
+        const right = originX + docBounds.width - width - minDistance;
+        const top = originY + minDistance;
+        const bottom = originY + docBounds.height - height - minDistance;
+
+        const points = {
+            'top-left': { x: left, y: top },
+            'top-right': { x: right, y: top },
+            'bottom-left': { x: left, y: bottom },
+            'bottom-right': { x: right, y: bottom },
+            'center': { x: originX + (docBounds.width - width) / 2, y: originY + (docBounds.height - height) / 2 }
+        };
+        const point = points[position];
+        return point ? { ...point, width, height } : null;
+    }
+
+    /**
+     * Pick where to move a misplaced logo
+     * The preferred position from brand rules comes first, then the other allowed
+     * positions nearest the logo's current center; the first spot whose clear
+     * space overlaps no other content wins, else the one with the fewest overlaps
+     */
+    findLogoPlacement(instance, width, height) {
+        const rules = instance.rules;
+        const docBounds = instance.canvasBounds;
+        const current = instance.bounds;
+        const centerX = current.x + current.width / 2;
+        const centerY = current.y + current.height / 2;
+        const candidates = (instance.clearSpace && instance.clearSpace.candidates) || [];
+        // Content overlapping the logo itself counts even without a clear space rule
+        const margin = this.getClearSpaceMargin(rules, height);
+
+        const spots = (rules.allowedPositions || [])
+            .map(position => ({ position, bounds: this.getPositionBounds(position, width, height, docBounds, rules) }))
+            .filter(spot => spot.bounds &&
+                this.isPositionAllowed(spot.bounds, docBounds, rules).allowed)
+            .map(spot => ({
+                ...spot,
+                preferred: spot.position === rules.preferredPosition,
+                distance: Math.hypot(
+                    spot.bounds.x + width / 2 - centerX,
+                    spot.bounds.y + height / 2 - centerY
+                ),
+                overlaps: this.findClearSpaceIntruders(spot.bounds, margin, candidates, docBounds).length
+            }))
+            .sort((a, b) => (b.preferred - a.preferred) || (a.distance - b.distance));
 
-            // Fix aspect ratio if needed
-            let aspectRatio = this.getAspectRatio(newWidth, newHeight);
-            if (aspectRatio < rules.aspectRatio.min) {
-                newHeight = newWidth / rules.aspectRatio.min;
-                fixes.push('aspect ratio');
-            } else if (aspectRatio > rules.aspectRatio.max) {
-                newWidth = newHeight * rules.aspectRatio.max;
-                fixes.push('aspect ratio');
+        if (spots.length === 0) return null;
+        return spots.find(spot => spot.overlaps === 0) ||
+            spots.reduce((best, spot) => spot.overlaps < best.overlaps ? spot : best);
+    }
+
+    /**
+     * Fix a single logo instance
+     * Size and position are applied in one uniform-scaled bounds update, then clear space
+     * Returns the fixes applied, how many succeeded, and the before/after bounds of every moved layer
+     * With options.dryRun nothing is applied
+     */
+    async fixLogoInstance(instance, options = {}) {
+        const logoLayer = instance.logoLayer;
+        const rules = instance.rules;
+        const bounds = instance.bounds;
+        const docBounds = instance.canvasBounds;
+        const fixes = [];
+        const moves = [];
+        let fixed = 0;
+
+        // Ignored issues are left alone: no resize, move or clear-space fix for them
+        const ignoredTypes = options.ignoredIssueTypes || new Set();
+        const size = SIZE_ISSUE_TYPES.some(type => ignoredTypes.has(type))
+            ? { width: bounds.width, height: bounds.height, fixes: [] }
+            : this.getCompliantSize(instance);
+        let finalBounds = this.anchorResize(bounds, size.width, size.height, instance.position);
+        const changes = [...size.fixes];
+
+        // Move the logo if its resized bounds are not in an allowed position
+        const positionCheck = docBounds
+            ? this.isPositionAllowed(finalBounds, docBounds, rules)
+            : { allowed: true };
+        if (!positionCheck.allowed && !ignoredTypes.has('position')) {
+            const placement = this.findLogoPlacement(instance, size.width, size.height);
+            if (placement) {
+                finalBounds = placement.bounds;
+                changes.push(`moved to ${placement.position}`);
+            } else {
+                console.warn('No allowed position fits the logo');
             }
+        }
 
-            // Apply size fixes
-            if (fixes.length > 0) {
-                try {
-                    await logoLayer.setBounds({
-                        width: newWidth,
-                        height: newHeight,
-                        x: bounds.x,
-                        y: bounds.y
-                    });
-                    fixedCount++;
-                } catch (error) {
-                    console.warn('Could not fix logo size:', error);
+        if (changes.length > 0) {
+            try {
+                if (!options.dryRun) {
+                    await this.journal.apply(logoLayer, 'setBounds', [finalBounds], [logoLayer.bounds]);
                 }
+                fixes.push(...changes);
+                fixed++;
+                moves.push(this.createMove(logoLayer, bounds, finalBounds));
+            } catch (error) {
+                console.warn('Could not fix logo size and position:', error);
+                finalBounds = bounds;
             }
+        }
 
-            // Fix position if needed
-            const docBounds = logoLayer.document?.bounds || { width: 1920, height: 1080 };
-            const positionCheck = this.isPositionAllowed(
-                { ...bounds, width: newWidth, height: newHeight },
-                docBounds.width,
-                docBounds.height
+        // Fix clear space last, against the logo's final bounds
+        try {
+            const clearSpaceFix = !ignoredTypes.has('clear-space') && await this.fixClearSpace(
+                instance,
+                finalBounds,
+                this.getClearSpaceStrategy(rules, options),
+                options.dryRun
             );
+            if (clearSpaceFix) {
+                fixes.push(clearSpaceFix.description);
+                // A logo moved again for clear space is one change from its original bounds
+                for (const move of clearSpaceFix.moves) {
+                    const earlier = moves.find(m => m.layerId === move.layerId);
+                    if (earlier) {
+                        earlier.newValue = move.newValue;
+                    } else {
+                        moves.push(move);
+                    }
+                }
+                fixed++;
+            }
+        } catch (error) {
+            console.warn('Could not fix logo clear space:', error);
+        }
 
-            if (!positionCheck.allowed) {
-                // Move to top-left as default allowed position
-                const minDistance = rules.minDistanceFromEdge || 20;
-                try {
-                    await logoLayer.setBounds({
-                        x: minDistance,
-                        y: minDistance,
-                        width: newWidth,
-                        height: newHeight
-                    });
-                    fixedCount++;
-                    fixes.push('position');
-                } catch (error) {
-                    console.warn('Could not fix logo position:', error);
+        return { fixes, fixed, moves };
+    }
+
+    /**
+     * Fix logo violations on every non-compliant logo
+     * options.clearSpaceStrategy: 'move-logo' or 'move-intruders'
+     * options.dryRun: return the planned changes without applying them
+     * options.isIgnored: issues it returns true for are not fixed
+     * The result lists the before/after bounds of every layer that was moved or resized
+     */
+    async fixLogoViolations(options = {}) {
+        try {
+            const validation = await this.validateLogo();
+            let fixedCount = 0;
+            const fixedLogos = [];
+            const changes = [];
+
+            if (!validation.found) {
+                return { fixed: 0, message: validation.message, changes };
+            }
+
+            if (validation.isCompliant) {
+                return { fixed: 0, message: 'Logo is already compliant', changes };
+            }
+
+            if (!options.dryRun) this.journal.beginRun('Fix logo');
+            try {
+                for (const instance of validation.instances) {
+                    if (instance.isCompliant) continue;
+
+                    const ignoredIssueTypes = new Set(instance.issues
+                        .filter(issue => options.isIgnored && options.isIgnored({ ...issue, layerId: instance.layerId }))
+                        .map(issue => issue.type));
+                    if (instance.issues.every(issue => ignoredIssueTypes.has(issue.type))) continue;
+
+                    const { fixes, fixed, moves } = await this.fixLogoInstance(instance, { ...options, ignoredIssueTypes });
+                    changes.push(...this.describeLogoMoves(instance, fixes, moves));
+                    if (fixed > 0) {
+                        fixedCount += fixed;
+                        fixedLogos.push(`${instance.layerName} (${fixes.join(', ')})`);
+                    }
                 }
+            } finally {
+                if (!options.dryRun) this.journal.endRun();
+            }
+            this.numberLogoChanges(changes);
+
+            if (options.dryRun) {
+                return {
+                    fixed: 0,
+                    dryRun: true,
+                    message: `${changes.length} logo change(s) planned`,
+                    changes
+                };
             }
 
             return {
                 fixed: fixedCount,
-                message: fixedCount > 0 
-                    ? `Fixed logo: ${fixes.join(', ')}`
-                    : 'Could not fix logo violations'
+                message: fixedCount > 0
+                    ? `Fixed logo: ${fixedLogos.join('; ')}`
+                    : 'Could not fix logo violations',
+                changes
             };
         } catch (error) {
+            if (!this.adapter.demoFallback) throw error;
             console.error('Error fixing logo violations:', error);
-            return this.getMockFixResult('logo');
+            return this.journal.getDemoFixResult('logo', options, await this.planMockLogoFixes());
         }
     }
 
+    /**
+     * Turn the layers moved for one logo into changes, each described by all of the logo's fixes
+     */
+    describeLogoMoves(instance, fixes, moves) {
+        return moves.map(move => ({
+            ...move,
+            logoLayerId: instance.layerId,
+            pageName: instance.pageName,
+            description: fixes.join(', ')
+        }));
+    }
+
+    /**
+     * Give each planned logo change its id
+     */
+    numberLogoChanges(changes) {
+        changes.forEach((change, index) => { change.id = `logo-${index + 1}`; });
+        return changes;
+    }
+
+    /**
+     * Plan the fixes for the demo logo
+     */
+    async planMockLogoFixes() {
+        const mock = this.getMockLogoData().instances[0];
+        const variant = this.variants[0];
+        const canvasBounds = { x: 0, y: 0, width: MOCK_CANVAS_SIZE, height: MOCK_CANVAS_SIZE };
+        const instance = {
+            ...mock,
+            logoLayer: { id: mock.layerId, name: mock.layerName, bounds: mock.bounds },
+            rules: this.getEffectiveRules(variant, canvasBounds).rules,
+            canvasBounds
+        };
+        const { fixes, moves } = await this.fixLogoInstance(instance, { dryRun: true });
+        return this.numberLogoChanges(this.describeLogoMoves(instance, fixes, moves));
+    }
+
+    /**
+     * Apply planned logo changes, e.g. the ones a user accepted in the preview
+     */
+    async applyLogoChanges(changes) {
+        const document = await this.adapter.getDocument();
+        const entries = await this.walker.collect(document);
+        const applied = [];
+
+        this.journal.beginRun('Fix logo');
+        try {
+            for (const change of changes) {
+                const layer = this.walker.findLayer(entries, change.layerId);
+                if (!layer) continue;
+
+                try {
+                    await this.journal.apply(layer, 'setBounds', [change.newValue], [layer.bounds]);
+                    applied.push(change);
+                } catch (error) {
+                    console.warn(`Could not move ${change.layerName}:`, error);
+                }
+            }
+        } finally {
+            this.journal.endRun();
+        }
+
+        return {
+            fixed: applied.length,
+            message: `Applied ${applied.length} logo change(s)`,
+            changes: applied
+        };
+    }
+
     /**
      * Mock data for demo purposes
      */
     getMockLogoData() {
-        return {
-            found: true,
+        const variant = this.variants[0];
+        const instance = {
+            layerId: 'logo1',
+            layerName: 'logo',
+            variant: { id: variant.id, name: variant.name },
+            matchedBy: 'name',
             isCompliant: false,
             violations: ['Logo size is below minimum', 'Logo position is not in allowed area'],
+            issues: [
+                { type: 'too-small', message: 'Logo size is below minimum' },
+                { type: 'position', message: 'Logo position is not in allowed area' }
+            ],
             bounds: { width: 50, height: 30, x: 10, y: 10 },
             aspectRatio: 1.67,
             position: 'center'
         };
-    }
 
-    getMockFixResult(type) {
         return {
-            fixed: 1,
-            message: `Fixed 1 ${type} violation (demo mode)`
+            found: true,
+            isCompliant: false,
+            violations: instance.violations,
+            issues: instance.issues.map(issue => ({ ...issue, layerId: instance.layerId, layerName: instance.layerName })),
+            instances: [instance],
+            bounds: instance.bounds,
+            aspectRatio: instance.aspectRatio,
+            position: instance.position
         };
     }
 }
-
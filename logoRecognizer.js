@@ -0,0 +1,226 @@
+/**
+ * Logo Recognizer
+ * Recognizes logos by image content using perceptual hashes of approved reference artwork
+ * Everything runs locally in the panel; no image leaves the document
+ */
+
+// dHash grid: 9x8 grayscale cells give 64 left-to-right gradient bits
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const HASH_BITS = (HASH_WIDTH - 1) * HASH_HEIGHT;
+
+export class LogoRecognizer {
+    constructor(logoRules, variants, adapter) {
+        // Reference images and layer pixels are read through the document adapter
+        this.adapter = adapter;
+        this.recognitionRules = logoRules.recognition || {};
+        this.enabled = this.recognitionRules.enabled !== false;
+        // Hamming distance (out of 64 bits) for a match and for a near-match
+        this.matchThreshold = this.recognitionRules.matchThreshold ?? 10;
+        this.nearMatchThreshold = this.recognitionRules.nearMatchThreshold ?? 20;
+        // Relative aspect ratio change that counts as stretched
+        this.stretchTolerance = this.recognitionRules.stretchTolerance ?? 0.05;
+        // RGB distance between average colors that counts as recolored
+        this.colorTolerance = this.recognitionRules.colorTolerance ?? 40;
+        this.variants = variants;
+        this.references = null;
+    }
+
+    /**
+     * Collect reference image definitions from the logo variants
+     * A reference is a path string or { src, outdated }
+     */
+    getReferenceDefinitions() {
+        const definitions = [];
+        for (const variant of this.variants) {
+            for (const reference of variant.references || []) {
+                const definition = typeof reference === 'string' ? { src: reference } : reference;
+                if (!definition || !definition.src) continue;
+                definitions.push({
+                    src: definition.src,
+                    outdated: definition.outdated === true,
+                    variantId: variant.id,
+                    variantName: variant.name
+                });
+            }
+        }
+        return definitions;
+    }
+
+    /**
+     * Load and fingerprint all reference images once
+     * References that fail to load are skipped with a warning
+     */
+    async loadReferences() {
+        if (this.references) return this.references;
+
+        const references = [];
+        for (const definition of this.getReferenceDefinitions()) {
+            try {
+                const pixels = await this.adapter.loadImagePixels(definition.src);
+                references.push({ ...definition, fingerprint: this.computeFingerprint(pixels) });
+            } catch (error) {
+                console.warn(`Could not load logo reference ${definition.src}:`, error);
+            }
+        }
+
+        this.references = references;
+        return references;
+    }
+
+    /**
+     * Compute a fingerprint: difference hash, average color and natural aspect ratio
+     * Transparent pixels are composited on white so logos on transparent
+     * backgrounds hash the same as on white
+     */
+    computeFingerprint(pixels) {
+        const { width, height, data } = pixels;
+        const cells = new Array(HASH_WIDTH * HASH_HEIGHT).fill(0);
+        const counts = new Array(HASH_WIDTH * HASH_HEIGHT).fill(0);
+        let red = 0;
+        let green = 0;
+        let blue = 0;
+        let opaque = 0;
+
+        for (let y = 0; y < height; y++) {
+            const cellY = Math.min(HASH_HEIGHT - 1, Math.floor(y * HASH_HEIGHT / height));
+            for (let x = 0; x < width; x++) {
+                const cellX = Math.min(HASH_WIDTH - 1, Math.floor(x * HASH_WIDTH / width));
+                const i = (y * width + x) * 4;
+                const alpha = data[i + 3] / 255;
+                const r = data[i] * alpha + 255 * (1 - alpha);
+                const g = data[i + 1] * alpha + 255 * (1 - alpha);
+                const b = data[i + 2] * alpha + 255 * (1 - alpha);
+
+                const cell = cellY * HASH_WIDTH + cellX;
+                cells[cell] += 0.299 * r + 0.587 * g + 0.114 * b;
+                counts[cell]++;
+
+                if (alpha >= 0.5) {
+                    red += data[i];
+                    green += data[i + 1];
+                    blue += data[i + 2];
+                    opaque++;
+                }
+            }
+        }
+
+        let hash = '';
+        for (let y = 0; y < HASH_HEIGHT; y++) {
+            for (let x = 0; x < HASH_WIDTH - 1; x++) {
+                const left = cells[y * HASH_WIDTH + x] / (counts[y * HASH_WIDTH + x] || 1);
+                const right = cells[y * HASH_WIDTH + x + 1] / (counts[y * HASH_WIDTH + x + 1] || 1);
+                hash += left < right ? '1' : '0';
+            }
+        }
+
+        return {
+            hash,
+            averageColor: opaque > 0
+                ? { r: red / opaque, g: green / opaque, b: blue / opaque }
+                : { r: 255, g: 255, b: 255 },
+            aspectRatio: height > 0 ? width / height : 0
+        };
+    }
+
+    /**
+     * Count differing bits between two hashes
+     */
+    hammingDistance(hash1, hash2) {
+        let distance = 0;
+        for (let i = 0; i < HASH_BITS; i++) {
+            if (hash1[i] !== hash2[i]) distance++;
+        }
+        return distance;
+    }
+
+    /**
+     * Find the closest reference to a fingerprint
+     */
+    findClosestReference(fingerprint, references) {
+        let closest = null;
+        let closestDistance = Infinity;
+
+        for (const reference of references) {
+            const distance = this.hammingDistance(fingerprint.hash, reference.fingerprint.hash);
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closest = reference;
+            }
+        }
+
+        return closest ? { reference: closest, distance: closestDistance } : null;
+    }
+
+    /**
+     * Work out how a recognized logo differs from its reference
+     * The hash is computed on a fixed grid, so stretched artwork still hashes
+     * close to the original; stretching is detected from the placed aspect ratio
+     */
+    detectAlterations(fingerprint, reference, distance, displayedAspectRatio) {
+        const alterations = [];
+
+        if (reference.outdated) {
+            alterations.push('outdated');
+        }
+
+        const referenceRatio = reference.fingerprint.aspectRatio;
+        if (referenceRatio > 0 && displayedAspectRatio > 0 &&
+            Math.abs(displayedAspectRatio / referenceRatio - 1) > this.stretchTolerance) {
+            alterations.push('stretched');
+        }
+
+        const a = fingerprint.averageColor;
+        const b = reference.fingerprint.averageColor;
+        const colorDistance = Math.sqrt(
+            (a.r - b.r) * (a.r - b.r) + (a.g - b.g) * (a.g - b.g) + (a.b - b.b) * (a.b - b.b)
+        );
+        if (colorDistance > this.colorTolerance) {
+            alterations.push('recolored');
+        }
+
+        if (distance > this.matchThreshold && alterations.length === 0) {
+            alterations.push('modified');
+        }
+
+        return alterations;
+    }
+
+    /**
+     * Recognize an image layer against the reference logos
+     * Returns null if recognition is off, the layer has no pixels, or nothing is close
+     */
+    async recognize(layer) {
+        if (!this.enabled) return null;
+
+        const references = await this.loadReferences();
+        if (references.length === 0) return null;
+
+        const pixels = await this.adapter.getLayerPixels(layer);
+        if (!pixels || !pixels.width || !pixels.height) return null;
+
+        const fingerprint = this.computeFingerprint(pixels);
+        const closest = this.findClosestReference(fingerprint, references);
+        if (!closest || closest.distance > this.nearMatchThreshold) return null;
+
+        const bounds = layer.bounds || {};
+        const displayedAspectRatio = bounds.height ? bounds.width / bounds.height : fingerprint.aspectRatio;
+        const alterations = this.detectAlterations(
+            fingerprint,
+            closest.reference,
+            closest.distance,
+            displayedAspectRatio
+        );
+
+        return {
+            variantId: closest.reference.variantId,
+            variantName: closest.reference.variantName,
+            referenceSrc: closest.reference.src,
+            referenceAspectRatio: closest.reference.fingerprint.aspectRatio,
+            distance: closest.distance,
+            similarity: Math.round((1 - closest.distance / HASH_BITS) * 100),
+            isAltered: alterations.length > 0,
+            alterations
+        };
+    }
+}
@@ -3,40 +3,200 @@
  * Handles UI updates and Express API integration
  */
 
+import { BrandProfiles } from './brandProfiles.js';
+import { BrandRulesStore } from './brandRulesStore.js';
+import { ComplianceChecker } from './complianceChecker.js';
+import { ExpressDocumentAdapter } from './expressDocumentAdapter.js';
+import { DEFAULT_IMPORT_USAGE, PaletteImporter } from './paletteImporter.js';
+import { ReportGenerator } from './reportGenerator.js';
+import { RulesEditor } from './rulesEditor.js';
+import { CURRENT_SCHEMA_VERSION, RulesValidator } from './rulesValidator.js';
+import { TokenExporter } from './tokenExporter.js';
+
 // Global state
 let brandRules = null;
 let complianceChecker = null;
 let currentComplianceData = null;
+let pendingChanges = [];
+let brandRulesStore = null;
+let rulesEditor = null;
+let rulesValidator = null;
+let brandProfiles = null;
+let activeProfileId = null;
+let profileProblems = [];
+let rulesSource = null;
+let currentScoreResult = null;
+
+// Live re-check state: layers changed since the last check, and the debounce timer
+let recheckTimer = null;
+let changedLayerIds = new Set();
+let fullRecheckPending = false;
+// The check that is running; every other check waits for it
+let runningCheck = null;
+
+// Breakdown item prefix for each compliance category
+const CATEGORY_ITEMS = { colors: 'color', fonts: 'font', logo: 'logo', contrast: 'contrast' };
+
+// Quiet period after the last document change before re-checking (ms)
+const RECHECK_DELAY = 800;
 
 /**
  * Initialize the application
  */
 async function init() {
     try {
-        // Load brand rules
-        const response = await fetch('./brandRules.json');
-        brandRules = await response.json();
+        // Load the brand profiles and the rules of the profile this document was checked with
+        brandRulesStore = new BrandRulesStore();
+        rulesValidator = new RulesValidator(await loadRulesSchema());
+        brandProfiles = new BrandProfiles(brandRulesStore, rulesValidator);
+        profileProblems = await brandProfiles.load();
+        await brandRulesStore.migrateLegacyRules(brandProfiles.defaultProfileId);
+
+        const profileId = await brandProfiles.getDocumentProfile(await getDocumentId());
+        const loaded = await loadBrandRules(profileId);
+        brandRules = loaded.rules;
+        rulesSource = loaded.source;
         
         // Initialize compliance checker
-        complianceChecker = new ComplianceChecker(brandRules);
+        complianceChecker = new ComplianceChecker(brandRules, new ExpressDocumentAdapter());
         
         // Set up event listeners
         setupEventListeners();
+        renderProfileSwitcher(loaded.profileId);
+        updateRulesSource(loaded);
         
         // Run initial compliance check
         await runComplianceCheck();
+
+        if (loaded.error) {
+            showStatus(`Could not use the ${describeProfile(loaded.profileId)} rules (${loaded.error}). Using the built-in default rules.`, 'error');
+        }
         
         console.log('BrandGuard AI initialized');
     } catch (error) {
         console.error('Error initializing BrandGuard AI:', error);
-        showStatus('Error loading brand rules. Using default configuration.', 'error');
-        
-        // Use default rules if file fails to load
-        brandRules = getDefaultBrandRules();
-        complianceChecker = new ComplianceChecker(brandRules);
-        setupEventListeners();
-        await runComplianceCheck();
+        showStatus('Error initializing BrandGuard AI', 'error');
+    }
+}
+
+/**
+ * Load the published brand rules schema
+ * Without it no rules pass validation, so the built-in default rules are used
+ */
+async function loadRulesSchema() {
+    try {
+        return await RulesValidator.loadSchema();
+    } catch (error) {
+        console.error('Brand rules schema could not be loaded; saved and profile rules cannot be used:', error);
+        return null;
+    }
+}
+
+/**
+ * Load the rules of a brand profile, migrated to the current schema version and validated
+ * Returns { profileId, rules, source, fromVersion, error, problems } where source is 'saved', 'file'
+ * or 'defaults', and `problems` lists what is wrong with the profile's rules when the defaults had to be used
+ */
+async function loadBrandRules(profileId) {
+    let resolved;
+    try {
+        resolved = await brandProfiles.resolve(profileId);
+    } catch (error) {
+        console.error('Error loading brand rules:', error);
+        return { profileId, rules: getDefaultBrandRules(), source: 'defaults', error: error.message, problems: [] };
+    }
+
+    if (resolved.fromVersion < CURRENT_SCHEMA_VERSION) {
+        console.info(`Brand rules migrated from schema version ${resolved.fromVersion} to ${CURRENT_SCHEMA_VERSION}`);
+    }
+
+    if (resolved.problems.length > 0) {
+        console.error('Brand rules are invalid:', resolved.problems);
+        return {
+            ...resolved,
+            rules: getDefaultBrandRules(),
+            source: 'defaults',
+            error: `${resolved.problems.length} problem(s) found`
+        };
+    }
+    return resolved;
+}
+
+/**
+ * Get the id of the open document, used to remember its brand profile
+ */
+async function getDocumentId() {
+    return (await getDocumentInfo()).id;
+}
+
+/**
+ * Get the id and title of the open document, or nulls when they are unknown
+ */
+async function getDocumentInfo() {
+    try {
+        const expressDocument = await window.express.document.getDocument();
+        return {
+            id: (expressDocument && expressDocument.id) || null,
+            title: (expressDocument && (expressDocument.title || expressDocument.name)) || null
+        };
+    } catch (error) {
+        console.warn('Could not get the document id:', error);
+        return { id: null, title: null };
+    }
+}
+
+/**
+ * Get the display name of a brand profile; unnamed profiles use the brand name of their rules
+ */
+function describeProfile(profileId) {
+    const profile = brandProfiles.getProfiles().find(p => p.id === profileId);
+    if (profile && profile.name) return profile.name;
+    return (brandRules && brandRules.brandName) || profileId;
+}
+
+/**
+ * Fill the brand profile switcher; it is disabled when there is only one profile
+ */
+function renderProfileSwitcher(activeId) {
+    const select = document.getElementById('profileSelect');
+    const profiles = brandProfiles.getProfiles();
+
+    activeProfileId = activeId;
+    select.innerHTML = '';
+    for (const profile of profiles) {
+        const option = new Option(describeProfile(profile.id), profile.id, false, profile.id === activeId);
+        if (profile.extends) option.title = `Extends ${describeProfile(profile.extends)}`;
+        select.appendChild(option);
+    }
+    select.disabled = profiles.length < 2;
+}
+
+/**
+ * Show where the brand rules in use come from, and what is wrong with them if they could not be used
+ */
+function updateRulesSource(loaded) {
+    const labels = {
+        saved: 'Using rules saved in this panel',
+        file: 'Using the profile\'s rules files',
+        defaults: 'Using built-in default rules'
+    };
+    const migrated = loaded.fromVersion && loaded.fromVersion < CURRENT_SCHEMA_VERSION
+        ? ` (upgraded from schema version ${loaded.fromVersion})`
+        : '';
+    document.getElementById('rulesSource').textContent = (labels[loaded.source] || '') + migrated;
+
+    const problems = [
+        ...profileProblems.map(problem => `brandProfiles.json ${rulesValidator.formatError(problem)}`),
+        ...(loaded.problems || []).map(problem => `${describeProfile(loaded.profileId)} ${rulesValidator.formatError(problem)}`)
+    ];
+    const list = document.getElementById('rulesLoadErrors');
+    list.innerHTML = '';
+    for (const problem of problems) {
+        const item = document.createElement('li');
+        item.textContent = problem;
+        list.appendChild(item);
     }
+    list.hidden = problems.length === 0;
 }
 
 /**
@@ -46,34 +206,209 @@ function setupEventListeners() {
     document.getElementById('fixColorsBtn').addEventListener('click', handleFixColors);
     document.getElementById('fixFontsBtn').addEventListener('click', handleFixFonts);
     document.getElementById('fixLogoBtn').addEventListener('click', handleFixLogo);
+    document.getElementById('fixContrastBtn').addEventListener('click', handleFixContrast);
     document.getElementById('fixAllBtn').addEventListener('click', handleFixAll);
+    document.getElementById('applyPreviewBtn').addEventListener('click', handleApplyPreview);
+    document.getElementById('cancelPreviewBtn').addEventListener('click', hidePreview);
+    document.getElementById('undoFixBtn').addEventListener('click', handleUndoFix);
+    document.getElementById('restoreIgnoredBtn').addEventListener('click', handleRestoreIgnored);
+    document.getElementById('recheckBtn').addEventListener('click', handleRecheck);
+    document.getElementById('exportReportJsonBtn').addEventListener('click', () => handleExportReport('json'));
+    document.getElementById('exportReportHtmlBtn').addEventListener('click', () => handleExportReport('html'));
+    document.getElementById('profileSelect').addEventListener('change', handleProfileChange);
+    document.getElementById('editRulesBtn').addEventListener('click', handleOpenRulesEditor);
+    document.getElementById('addColorBtn').addEventListener('click', handleAddColor);
+    document.getElementById('addFontBtn').addEventListener('click', handleAddFont);
+    document.getElementById('importPaletteBtn').addEventListener('click', () => document.getElementById('paletteFileInput').click());
+    document.getElementById('paletteFileInput').addEventListener('change', handleImportPalette);
+    document.getElementById('exportTokensBtn').addEventListener('click', handleExportTokens);
+    document.getElementById('saveRulesBtn').addEventListener('click', handleSaveRules);
+    document.getElementById('cancelRulesBtn').addEventListener('click', closeRulesEditor);
+    document.getElementById('resetRulesBtn').addEventListener('click', handleResetRules);
+    setupRulesEditorFields();
+
+    subscribeToDocumentChanges();
+}
+
+/**
+ * Re-check compliance when the designer edits the document or moves on from a selection
+ */
+function subscribeToDocumentChanges() {
+    const expressDocument = window.express && window.express.document;
+    if (!expressDocument || typeof expressDocument.addEventListener !== 'function') {
+        console.warn('Document change events are not available; use Re-check to refresh the score');
+        return;
+    }
+
+    expressDocument.addEventListener('documentchange', event => scheduleRecheck(getChangedLayerIds(event)));
+    expressDocument.addEventListener('selectionchange', event => scheduleRecheck(getChangedLayerIds(event)));
+}
+
+/**
+ * Get the ids of the layers a change event is about
+ * Selection events name the layers that were selected before, which are the ones that were edited
+ * Returns null when the event does not say, so the whole document is re-checked
+ */
+function getChangedLayerIds(event) {
+    const detail = (event && event.detail) || event || {};
+    const layers = detail.layers || detail.previousSelection || [];
+    const ids = detail.layerIds || layers.map(layer => layer.id);
+    return ids.length > 0 ? ids : null;
+}
+
+/**
+ * Queue a debounced re-check; changes that arrive before it runs are checked together
+ */
+function scheduleRecheck(layerIds) {
+    if (!isLiveCheckEnabled()) return;
+
+    if (layerIds) {
+        layerIds.forEach(id => changedLayerIds.add(id));
+    } else {
+        fullRecheckPending = true;
+    }
+
+    clearTimeout(recheckTimer);
+    recheckTimer = setTimeout(runScheduledRecheck, RECHECK_DELAY);
+}
+
+/**
+ * Run the queued re-check, only for the changed layers when they are known
+ */
+async function runScheduledRecheck() {
+    if (runningCheck) {
+        recheckTimer = setTimeout(runScheduledRecheck, RECHECK_DELAY);
+        return;
+    }
+
+    const layerIds = fullRecheckPending ? null : Array.from(changedLayerIds);
+    await runComplianceCheck({ layerIds, quiet: true });
+}
+
+/**
+ * Drop queued changes; a check that is about to run covers them
+ */
+function clearPendingRecheck() {
+    clearTimeout(recheckTimer);
+    recheckTimer = null;
+    changedLayerIds = new Set();
+    fullRecheckPending = false;
+}
+
+/**
+ * Check if the score should follow document changes
+ */
+function isLiveCheckEnabled() {
+    const toggle = document.getElementById('liveCheckToggle');
+    return Boolean(toggle && toggle.checked);
 }
 
 /**
  * Run compliance check and update UI
+ * `options.layerIds` re-checks only those layers; `options.quiet` skips the status messages
+ * Checks run one at a time, so an older check never overwrites the results of a newer one
  */
-async function runComplianceCheck() {
+async function runComplianceCheck(options = {}) {
+    while (runningCheck) {
+        await runningCheck;
+    }
+
+    clearPendingRecheck();
+    runningCheck = performComplianceCheck(options);
     try {
-        showStatus('Checking compliance...', 'info');
+        await runningCheck;
+    } finally {
+        runningCheck = null;
+    }
+}
+
+/**
+ * Check the document and show the results
+ */
+async function performComplianceCheck(options) {
+    try {
+        if (!options.quiet) showStatus('Checking compliance...', 'info');
         
-        currentComplianceData = await complianceChecker.checkAll();
-        const score = complianceChecker.calculateScore(currentComplianceData);
+        currentComplianceData = await complianceChecker.checkAll({ layerIds: options.layerIds });
+        currentScoreResult = complianceChecker.calculateScore(currentComplianceData);
         
-        updateScoreDisplay(score);
-        updateComplianceBreakdown(currentComplianceData);
+        updateScoreDisplay(currentScoreResult);
+        updateComplianceBreakdown(currentComplianceData, currentScoreResult);
+        updateUndoButton();
+        updateLastChecked(currentComplianceData);
         
-        showStatus('Compliance check complete', 'success');
-        setTimeout(() => hideStatus(), 2000);
+        if (!options.quiet) {
+            showStatus('Compliance check complete', 'success');
+            setTimeout(() => hideStatus(), 2000);
+        }
     } catch (error) {
         console.error('Error running compliance check:', error);
         showStatus('Error checking compliance', 'error');
     }
 }
 
+/**
+ * Handle Re-check button click
+ */
+async function handleRecheck() {
+    const btn = document.getElementById('recheckBtn');
+    btn.disabled = true;
+
+    try {
+        await runComplianceCheck();
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+/**
+ * Download the last check as a JSON or printable HTML compliance report
+ */
+async function handleExportReport(format) {
+    if (!currentComplianceData || !currentScoreResult) {
+        showStatus('Run a compliance check before downloading a report', 'info');
+        return;
+    }
+
+    try {
+        const documentInfo = await getDocumentInfo();
+        const generator = new ReportGenerator();
+        const report = generator.createReport(currentComplianceData, currentScoreResult, {
+            brandRules,
+            profileId: activeProfileId,
+            profileName: describeProfile(activeProfileId),
+            rulesSource,
+            documentId: documentInfo.id,
+            documentTitle: documentInfo.title
+        });
+
+        const fileName = `${toFileName(documentInfo.title || brandRules.brandName || 'brand')}-compliance-report`;
+        if (format === 'html') {
+            downloadFile(`${fileName}.html`, generator.toHtml(report), 'text/html');
+        } else {
+            downloadFile(`${fileName}.json`, generator.toJson(report), 'application/json');
+        }
+    } catch (error) {
+        console.error('Error exporting compliance report:', error);
+        showStatus('Error exporting compliance report', 'error');
+    }
+}
+
+/**
+ * Show when the score was last brought up to date
+ */
+function updateLastChecked(data) {
+    const time = new Date(data.checkedAt).toLocaleTimeString();
+    document.getElementById('lastChecked').textContent = data.incremental
+        ? `Last checked ${time} (changed layers)`
+        : `Last checked ${time}`;
+}
+
 /**
  * Update score display
  */
-function updateScoreDisplay(score) {
+function updateScoreDisplay(scoreResult) {
+    const score = scoreResult.score;
     const scoreNumber = document.getElementById('scoreNumber');
     const scoreRing = document.getElementById('scoreRing');
     const scoreDescription = document.getElementById('scoreDescription');
@@ -85,37 +420,184 @@ function updateScoreDisplay(score) {
     const offset = circumference - (score / 100) * circumference;
     scoreRing.style.strokeDashoffset = offset;
     
-    // Update ring color based on score
+    // Update ring color based on the score band
     scoreRing.classList.remove('warning', 'error');
-    if (score < 50) {
-        scoreRing.classList.add('error');
-    } else if (score < 70) {
-        scoreRing.classList.add('warning');
+    if (scoreResult.status === 'error' || scoreResult.status === 'warning') {
+        scoreRing.classList.add(scoreResult.status);
     }
     
-    // Update description
-    const description = complianceChecker.getScoreDescription(score);
-    scoreDescription.textContent = description;
+    // Update description, naming the rules that blocked the score
+    const blockers = [...new Set(scoreResult.blockedBy.map(b => `${b.category}: ${b.type}`))];
+    scoreDescription.textContent = scoreResult.blocked
+        ? `${scoreResult.description} (blocked by ${blockers.join(', ')})`
+        : scoreResult.description;
 }
 
 /**
  * Update compliance breakdown display
  */
-function updateComplianceBreakdown(data) {
+function updateComplianceBreakdown(data, scoreResult) {
+    const categories = scoreResult ? scoreResult.categories : {};
+
     // Update colors
-    updateComplianceItem('color', data.colors);
+    updateComplianceItem('color', data.colors, categories.colors);
     
     // Update fonts
-    updateComplianceItem('font', data.fonts);
+    updateComplianceItem('font', data.fonts, categories.fonts);
     
     // Update logo
-    updateComplianceItem('logo', data.logo);
+    updateComplianceItem('logo', data.logo, categories.logo);
+    
+    // Update contrast
+    updateComplianceItem('contrast', data.contrast, categories.contrast);
+
+    // Per-violation lists
+    let ignoredCount = 0;
+    for (const [category, type] of Object.entries(CATEGORY_ITEMS)) {
+        renderViolationList(type, category, data[category]);
+        ignoredCount += data[category].ignoredCount || 0;
+    }
+
+    const restoreBtn = document.getElementById('restoreIgnoredBtn');
+    restoreBtn.hidden = ignoredCount === 0;
+    restoreBtn.textContent = `Restore ${ignoredCount} ignored violation(s)`;
+}
+
+/**
+ * Render the expandable list of violations for one category
+ */
+function renderViolationList(type, category, data) {
+    const container = document.getElementById(`${type}Violations`);
+    const list = document.getElementById(`${type}ViolationList`);
+    const items = (category === 'logo' ? data.issues : data.violations) || [];
+
+    list.innerHTML = '';
+    container.hidden = items.length === 0;
+    document.getElementById(`${type}ViolationSummary`).textContent = `Show ${items.length} violation(s)`;
+
+    for (const violation of items) {
+        const entry = document.createElement('li');
+        entry.className = 'violation-entry';
+
+        const layer = document.createElement('div');
+        layer.className = 'violation-entry-layer';
+        layer.textContent = violation.layerPath || violation.layerName || 'Document';
+
+        const value = document.createElement('div');
+        value.className = 'violation-entry-value';
+        value.append(...describeViolation(category, violation));
+
+        const actions = document.createElement('div');
+        actions.className = 'violation-entry-actions';
+        if (violation.layerId) {
+            actions.appendChild(createLinkButton('Select layer', () => handleSelectLayer(violation.layerId)));
+        }
+        if (isViolationFixable(category, violation)) {
+            actions.appendChild(createLinkButton('Fix', btn => handleFixViolation(category, violation, btn)));
+        }
+        actions.appendChild(createLinkButton('Ignore', () => handleIgnoreViolation(category, violation)));
+
+        entry.append(layer, value, actions);
+        list.appendChild(entry);
+    }
+}
+
+/**
+ * Build the nodes that show what is wrong: swatches for colors, font names in their own font
+ */
+function describeViolation(category, violation) {
+    switch (category) {
+        case 'colors': {
+            const nodes = [
+                `${violation.locationLabel || violation.type}:`,
+                createSwatch(violation.currentColor),
+                violation.currentColor
+            ];
+            if (violation.closestBrandColor) {
+                nodes.push('→', createSwatch(violation.closestBrandColor.hex), violation.closestBrandColor.name);
+            }
+            if (violation.violationType === 'wrong-usage') {
+                nodes.push(`(not allowed for ${violation.role})`);
+            }
+            return nodes;
+        }
+        case 'fonts':
+            if (violation.violationType === 'unapproved-font') {
+                return [createFontName(violation.currentFont), '→', createFontName(violation.replacementFont)];
+            }
+            return [violation.message || `${violation.currentFont}: ${violation.violationType}`];
+        case 'contrast': {
+            const sample = document.createElement('span');
+            sample.className = 'contrast-sample';
+            sample.style.color = violation.textColor;
+            sample.style.background = violation.backgroundColor;
+            sample.textContent = 'Aa';
+
+            const nodes = [sample, `${violation.ratio}:1, needs ${violation.requiredRatio}:1`];
+            if (violation.locationLabel) nodes.unshift(`${violation.locationLabel}:`);
+            if (violation.suggestedColor) {
+                nodes.push('→', createSwatch(violation.suggestedColor.hex), violation.suggestedColor.name);
+            }
+            return nodes;
+        }
+        default:
+            return [violation.message];
+    }
+}
+
+/**
+ * Check if a violation has an automatic fix
+ */
+function isViolationFixable(category, violation) {
+    switch (category) {
+        case 'colors':
+            return Boolean(violation.closestBrandColor);
+        case 'contrast':
+            return Boolean(violation.suggestedColor);
+        case 'logo':
+            return violation.type !== 'missing';
+        default:
+            return true;
+    }
+}
+
+/**
+ * Create a color swatch element
+ */
+function createSwatch(hex) {
+    const swatch = document.createElement('span');
+    swatch.className = 'color-swatch';
+    swatch.style.background = hex;
+    swatch.title = hex;
+    return swatch;
+}
+
+/**
+ * Create a font name shown in that font
+ */
+function createFontName(fontName) {
+    const name = document.createElement('span');
+    name.textContent = fontName || 'Unknown font';
+    if (fontName) name.style.fontFamily = `"${fontName}"`;
+    return name;
+}
+
+/**
+ * Create a small text button for a list item
+ */
+function createLinkButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'link-button';
+    button.textContent = label;
+    button.addEventListener('click', () => onClick(button));
+    return button;
 }
 
 /**
  * Update individual compliance item display
  */
-function updateComplianceItem(type, data) {
+function updateComplianceItem(type, data, categoryScore) {
     const item = document.getElementById(`${type}Compliance`);
     const icon = document.getElementById(`${type}Icon`);
     const status = document.getElementById(`${type}Status`);
@@ -132,7 +614,8 @@ function updateComplianceItem(type, data) {
         icon.textContent = '⚠';
         icon.classList.add('warning');
         status.textContent = 'Violation';
-        details.textContent = data.details;
+        const deductions = complianceChecker.describeDeductions(categoryScore);
+        details.textContent = deductions ? `${data.details} (${deductions})` : data.details;
     }
 }
 
@@ -144,7 +627,12 @@ async function handleFixColors() {
     setButtonLoading(btn, true);
     
     try {
-        const result = await complianceChecker.colorChecker.fixColorViolations();
+        if (isPreviewEnabled()) {
+            showPreview(await complianceChecker.fixCategory('colors', { dryRun: true }));
+            return;
+        }
+
+        const result = await complianceChecker.fixCategory('colors');
         showStatus(result.message || `Fixed ${result.fixed} color violation(s)`, 'success');
         
         // Recheck compliance
@@ -165,7 +653,12 @@ async function handleFixFonts() {
     setButtonLoading(btn, true);
     
     try {
-        const result = await complianceChecker.fontChecker.fixFontViolations();
+        if (isPreviewEnabled()) {
+            showPreview(await complianceChecker.fixCategory('fonts', { dryRun: true }));
+            return;
+        }
+
+        const result = await complianceChecker.fixCategory('fonts');
         showStatus(result.message || `Fixed ${result.fixed} font violation(s)`, 'success');
         
         // Recheck compliance
@@ -186,7 +679,12 @@ async function handleFixLogo() {
     setButtonLoading(btn, true);
     
     try {
-        const result = await complianceChecker.logoChecker.fixLogoViolations();
+        if (isPreviewEnabled()) {
+            showPreview(await complianceChecker.fixCategory('logo', { ...getFixOptions(), dryRun: true }));
+            return;
+        }
+
+        const result = await complianceChecker.fixCategory('logo', getFixOptions());
         showStatus(result.message || `Fixed ${result.fixed} logo violation(s)`, 'success');
         
         // Recheck compliance
@@ -199,6 +697,32 @@ async function handleFixLogo() {
     }
 }
 
+/**
+ * Handle Fix Contrast button click
+ */
+async function handleFixContrast() {
+    const btn = document.getElementById('fixContrastBtn');
+    setButtonLoading(btn, true);
+    
+    try {
+        if (isPreviewEnabled()) {
+            showPreview(await complianceChecker.fixCategory('contrast', { dryRun: true }));
+            return;
+        }
+
+        const result = await complianceChecker.fixCategory('contrast');
+        showStatus(result.message || `Fixed ${result.fixed} contrast violation(s)`, 'success');
+        
+        // Recheck compliance
+        await runComplianceCheck();
+    } catch (error) {
+        console.error('Error fixing contrast:', error);
+        showStatus('Error fixing contrast', 'error');
+    } finally {
+        setButtonLoading(btn, false);
+    }
+}
+
 /**
  * Handle Fix All button click
  */
@@ -207,10 +731,20 @@ async function handleFixAll() {
     setButtonLoading(btn, true);
     
     try {
-        const results = await complianceChecker.fixAll();
+        if (isPreviewEnabled()) {
+            showPreview(await complianceChecker.fixAll({ ...getFixOptions(), dryRun: true }));
+            return;
+        }
+
+        const results = await complianceChecker.fixAll({
+            ...getFixOptions(),
+            rollbackOnFailure: document.getElementById('rollbackToggle').checked
+        });
         const totalFixed = results.totalFixed || 0;
         
-        if (totalFixed > 0) {
+        if (results.rolledBack) {
+            showStatus(`A fix failed, so ${results.rollback.restored} change(s) were rolled back`, 'error');
+        } else if (totalFixed > 0) {
             showStatus(`Fixed ${totalFixed} violation(s) across all categories`, 'success');
         } else {
             showStatus('No violations found to fix', 'info');
@@ -226,6 +760,631 @@ async function handleFixAll() {
     }
 }
 
+/**
+ * Focus the layer a violation belongs to in the document
+ */
+async function handleSelectLayer(layerId) {
+    const selected = await complianceChecker.selectLayer(layerId);
+    if (!selected) {
+        showStatus('Could not select the layer', 'error');
+    }
+}
+
+/**
+ * Fix a single violation, or preview its changes when preview is on
+ */
+async function handleFixViolation(category, violation, button) {
+    button.disabled = true;
+
+    try {
+        if (isPreviewEnabled()) {
+            const changes = await complianceChecker.planViolationFix(category, violation, getFixOptions());
+            showPreview({ changes, message: 'No changes to make' });
+            return;
+        }
+
+        const result = await complianceChecker.fixViolation(category, violation, getFixOptions());
+        showStatus(`Fixed ${result.totalFixed} change(s) for ${violation.layerName || 'the layer'}`, 'success');
+
+        // Recheck compliance
+        await runComplianceCheck();
+    } catch (error) {
+        console.error('Error fixing violation:', error);
+        showStatus('Error fixing violation', 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Ignore a violation and refresh the score without it
+ */
+async function handleIgnoreViolation(category, violation) {
+    complianceChecker.ignoreViolation(category, violation);
+    await runComplianceCheck();
+}
+
+/**
+ * Bring back every ignored violation
+ */
+async function handleRestoreIgnored() {
+    complianceChecker.clearIgnored();
+    await runComplianceCheck();
+}
+
+/**
+ * Handle Undo Last Fix button click
+ */
+async function handleUndoFix() {
+    const btn = document.getElementById('undoFixBtn');
+    setButtonLoading(btn, true);
+
+    try {
+        const result = await complianceChecker.undoLastFix();
+        if (!result) {
+            showStatus('Nothing to undo', 'info');
+        } else if (result.failed.length > 0) {
+            showStatus(`Undid ${result.restored} change(s) from "${result.label}"; ${result.failed.length} could not be restored`, 'error');
+        } else {
+            showStatus(`Undid ${result.restored} change(s) from "${result.label}"`, 'success');
+        }
+
+        // Recheck compliance
+        await runComplianceCheck();
+    } catch (error) {
+        console.error('Error undoing fix:', error);
+        showStatus('Error undoing fix', 'error');
+    } finally {
+        setButtonLoading(btn, false);
+        updateUndoButton();
+    }
+}
+
+/**
+ * Enable Undo Last Fix only when there is a fix run to undo
+ */
+function updateUndoButton() {
+    const btn = document.getElementById('undoFixBtn');
+    const run = complianceChecker.journal.getLastRun();
+    btn.disabled = !run;
+    btn.title = run ? `Undo "${run.label}" (${run.entries.length} change(s))` : '';
+}
+
+/**
+ * Handle Apply Selected in the fix preview
+ */
+async function handleApplyPreview() {
+    const btn = document.getElementById('applyPreviewBtn');
+    const selectedIds = Array.from(document.querySelectorAll('#previewList input:checked'))
+        .map(input => input.dataset.changeId);
+    const selected = pendingChanges.filter(change => selectedIds.includes(change.id));
+
+    if (selected.length === 0) {
+        showStatus('No changes selected', 'info');
+        return;
+    }
+
+    setButtonLoading(btn, true);
+
+    try {
+        const results = await complianceChecker.applyChanges(selected);
+        showStatus(`Applied ${results.totalFixed} of ${selected.length} selected change(s)`, 'success');
+        hidePreview();
+
+        // Recheck compliance
+        await runComplianceCheck();
+    } catch (error) {
+        console.error('Error applying changes:', error);
+        showStatus('Error applying changes', 'error');
+    } finally {
+        setButtonLoading(btn, false);
+    }
+}
+
+/**
+ * Wire the fixed fields of the brand rules editor; color and font rows are wired as they are rendered
+ */
+function setupRulesEditorFields() {
+    document.getElementById('brandNameInput').addEventListener('input', event => {
+        rulesEditor.draft.brandName = event.target.value;
+        updateRulesValidation();
+    });
+    document.getElementById('defaultFontSelect').addEventListener('change', event => {
+        rulesEditor.setDefaultFont(event.target.value);
+        updateRulesValidation();
+    });
+    document.getElementById('logoVariantSelect').addEventListener('change', renderLogoRules);
+    document.querySelectorAll('#logoRulesFields input[data-path]').forEach(input => {
+        input.addEventListener('input', () => {
+            rulesEditor.setLogoValue(input.dataset.path, input.value, getEditedLogoVariant());
+            renderLogoOverrideNote();
+            updateRulesValidation();
+        });
+    });
+    document.querySelectorAll('#logoPositions input').forEach(input => {
+        input.addEventListener('change', () => {
+            rulesEditor.setPositionAllowed(input.value, input.checked);
+            updateRulesValidation();
+        });
+    });
+    document.getElementById('preferredPositionSelect').addEventListener('change', event => {
+        rulesEditor.setPreferredPosition(event.target.value);
+        updateRulesValidation();
+    });
+}
+
+/**
+ * Open the brand rules editor on a copy of the rules in use
+ */
+function handleOpenRulesEditor() {
+    rulesEditor = new RulesEditor(brandRules, rulesValidator);
+    renderRulesEditor();
+    document.getElementById('settingsSection').hidden = false;
+    document.querySelector('.panel-container').classList.add('settings-open');
+}
+
+/**
+ * Close the brand rules editor without saving
+ */
+function closeRulesEditor() {
+    rulesEditor = null;
+    document.getElementById('settingsSection').hidden = true;
+    document.querySelector('.panel-container').classList.remove('settings-open');
+}
+
+/**
+ * Fill the editor from the working copy of the rules
+ */
+function renderRulesEditor() {
+    const rules = rulesEditor.draft;
+
+    document.getElementById('brandNameInput').value = rules.brandName || '';
+    renderColorRules();
+    renderFontRules();
+
+    renderLogoVariantSelect();
+    renderLogoRules();
+    const allowed = rules.logo.allowedPositions || [];
+    document.querySelectorAll('#logoPositions input').forEach(input => {
+        input.checked = allowed.includes(input.value);
+    });
+    document.getElementById('preferredPositionSelect').value = rules.logo.preferredPosition || '';
+
+    updateRulesValidation();
+}
+
+/**
+ * Fill the logo variant picker; it is hidden when the rules have no variants
+ */
+function renderLogoVariantSelect() {
+    const select = document.getElementById('logoVariantSelect');
+    const variants = rulesEditor.getLogoVariants();
+
+    select.innerHTML = '';
+    for (const { id, name } of [{ id: '', name: 'All logos' }, ...variants]) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        select.appendChild(option);
+    }
+    document.getElementById('logoVariantField').hidden = variants.length === 0;
+}
+
+/**
+ * Get the logo variant whose size and ratio are edited, or null for the top-level logo rules
+ */
+function getEditedLogoVariant() {
+    return document.getElementById('logoVariantSelect').value || null;
+}
+
+/**
+ * Fill the logo size and ratio fields for the selected variant
+ */
+function renderLogoRules() {
+    const variantId = getEditedLogoVariant();
+    document.querySelectorAll('#logoRulesFields input[data-path]').forEach(input => {
+        const value = rulesEditor.getLogoValue(input.dataset.path, variantId);
+        input.value = value === undefined ? '' : value;
+    });
+    renderLogoOverrideNote();
+}
+
+/**
+ * List the top-level logo values that variants set themselves, since the variant's value wins
+ */
+function renderLogoOverrideNote() {
+    const note = document.getElementById('logoOverrideNote');
+    const overrides = [];
+    if (!getEditedLogoVariant()) {
+        document.querySelectorAll('#logoRulesFields input[data-path]').forEach(input => {
+            const variants = rulesEditor.getLogoOverrides(input.dataset.path);
+            const label = input.parentElement.firstChild.textContent.trim();
+            if (variants.length > 0) overrides.push(`${label} (${variants.join(', ')})`);
+        });
+    }
+
+    note.textContent = `Set per variant, which wins over the value here: ${overrides.join('; ')}`;
+    note.hidden = overrides.length === 0;
+}
+
+/**
+ * Render one editable row per approved color: picker, name, usage and remove
+ */
+function renderColorRules() {
+    const list = document.getElementById('colorRulesList');
+    const usages = rulesEditor.getColorUsages();
+    list.innerHTML = '';
+
+    rulesEditor.draft.colors.approved.forEach((color, index) => {
+        const row = document.createElement('li');
+        row.className = 'settings-row';
+
+        const picker = document.createElement('input');
+        picker.type = 'color';
+        picker.value = /^#[0-9A-F]{6}$/i.test(color.hex || '') ? color.hex.toLowerCase() : '#000000';
+        picker.title = 'Color';
+
+        const hex = document.createElement('input');
+        hex.type = 'text';
+        hex.className = 'settings-hex';
+        hex.value = color.hex || '';
+        hex.setAttribute('aria-label', 'Hex value');
+
+        picker.addEventListener('input', () => {
+            rulesEditor.updateColor(index, 'hex', picker.value);
+            hex.value = rulesEditor.draft.colors.approved[index].hex;
+            updateRulesValidation();
+        });
+        hex.addEventListener('input', () => {
+            rulesEditor.updateColor(index, 'hex', hex.value.trim());
+            if (/^#[0-9A-F]{6}$/i.test(hex.value.trim())) picker.value = hex.value.trim().toLowerCase();
+            updateRulesValidation();
+        });
+
+        const name = createRulesInput(color.name, 'Color name', value => rulesEditor.updateColor(index, 'name', value));
+
+        const usage = document.createElement('select');
+        usage.setAttribute('aria-label', 'Usage');
+        for (const option of usages) {
+            usage.appendChild(new Option(option, option, false, option === color.usage));
+        }
+        usage.addEventListener('change', () => {
+            rulesEditor.updateColor(index, 'usage', usage.value);
+            updateRulesValidation();
+        });
+
+        const remove = createLinkButton('Remove', () => {
+            rulesEditor.removeColor(index);
+            renderColorRules();
+            updateRulesValidation();
+        });
+
+        row.append(picker, hex, name, usage, remove);
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Render one editable row per approved font: name, weights, styles and remove
+ * The default font choice is rebuilt from the approved names
+ */
+function renderFontRules() {
+    const list = document.getElementById('fontRulesList');
+    list.innerHTML = '';
+
+    rulesEditor.draft.fonts.approved.forEach((font, index) => {
+        const row = document.createElement('li');
+        row.className = 'settings-row';
+
+        const name = createRulesInput(font.name, 'Font name', value => rulesEditor.updateFont(index, 'name', value));
+        name.addEventListener('change', renderDefaultFontSelect);
+        const weights = createRulesInput((font.weights || []).join(', '), 'Weights, e.g. 400, 700',
+            value => rulesEditor.updateFont(index, 'weights', value));
+        const styles = createRulesInput((font.styles || []).join(', '), 'Styles, e.g. normal, italic',
+            value => rulesEditor.updateFont(index, 'styles', value));
+
+        const remove = createLinkButton('Remove', () => {
+            rulesEditor.removeFont(index);
+            renderFontRules();
+            updateRulesValidation();
+        });
+
+        row.append(name, weights, styles, remove);
+        list.appendChild(row);
+    });
+
+    renderDefaultFontSelect();
+}
+
+/**
+ * Offer every approved font as the default font
+ */
+function renderDefaultFontSelect() {
+    const select = document.getElementById('defaultFontSelect');
+    const fonts = rulesEditor.draft.fonts;
+    const current = fonts.default ? fonts.default.name : '';
+
+    select.innerHTML = '';
+    select.appendChild(new Option('Choose a font', ''));
+    for (const font of fonts.approved) {
+        if (font.name) select.appendChild(new Option(font.name, font.name, false, font.name === current));
+    }
+}
+
+/**
+ * Create a text input that updates the working copy and re-validates as the user types
+ */
+function createRulesInput(value, placeholder, onInput) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = value || '';
+    input.placeholder = placeholder;
+    input.setAttribute('aria-label', placeholder);
+    input.addEventListener('input', () => {
+        onInput(input.value);
+        updateRulesValidation();
+    });
+    return input;
+}
+
+/**
+ * Validate the working copy and only allow saving valid rules
+ */
+function updateRulesValidation() {
+    const errors = rulesEditor.validate();
+    const list = document.getElementById('rulesErrors');
+
+    list.innerHTML = '';
+    for (const error of errors) {
+        const item = document.createElement('li');
+        item.textContent = rulesValidator.formatError(error);
+        list.appendChild(item);
+    }
+    list.hidden = errors.length === 0;
+    document.getElementById('saveRulesBtn').disabled = errors.length > 0;
+}
+
+/**
+ * Handle Add color in the brand rules editor
+ */
+function handleAddColor() {
+    rulesEditor.addColor();
+    renderColorRules();
+    updateRulesValidation();
+}
+
+/**
+ * Import colors from a palette file (.ase, .gpl, CSS variables or design tokens) into the editor
+ */
+async function handleImportPalette(event) {
+    const input = event.target;
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+        const importer = new PaletteImporter();
+        const format = importer.detectFormat(file.name, '');
+        const content = format === 'ase' ? await file.arrayBuffer() : await file.text();
+        const result = importer.import(file.name, content);
+
+        const replace = document.getElementById('replacePaletteToggle').checked;
+        const { added, duplicates } = rulesEditor.importColors(result.colors, { replace });
+        renderColorRules();
+        updateRulesValidation();
+
+        const notes = [];
+        if (duplicates > 0) notes.push(`${duplicates} already approved`);
+        if (result.skipped.length > 0) notes.push(`${result.skipped.length} skipped`);
+        if (result.unclassified.length > 0) notes.push(`${result.unclassified.length} with usage set to ${DEFAULT_IMPORT_USAGE}`);
+        showStatus(`Imported ${added} color(s) from ${file.name}` + (notes.length ? ` (${notes.join(', ')})` : ''), 'success');
+        if (result.skipped.length > 0) console.info('Palette entries skipped:', result.skipped);
+    } catch (error) {
+        console.error('Error importing palette:', error);
+        showStatus(`Could not import ${file.name}: ${error.message}`, 'error');
+    } finally {
+        // Allow importing the same file again
+        input.value = '';
+    }
+}
+
+/**
+ * Download the edited rules as design tokens
+ */
+function handleExportTokens() {
+    const rules = rulesEditor.getRules();
+    downloadFile(`${toFileName(rules.brandName || 'brand')}.tokens.json`, new TokenExporter().toJson(rules), 'application/json');
+}
+
+/**
+ * Save generated content as a file through the browser
+ */
+function downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Turn a name into a file name, e.g. "Enterprise Brand" -> "enterprise-brand"
+ */
+function toFileName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'brandguard';
+}
+
+/**
+ * Handle Add font in the brand rules editor
+ */
+function handleAddFont() {
+    rulesEditor.addFont();
+    renderFontRules();
+    updateRulesValidation();
+}
+
+/**
+ * Save the edited rules to client storage and check the document against them
+ */
+async function handleSaveRules() {
+    const btn = document.getElementById('saveRulesBtn');
+    if (rulesEditor.validate().length > 0) return;
+
+    setButtonLoading(btn, true);
+
+    try {
+        const rules = rulesEditor.getRules();
+        await brandRulesStore.save(rules, activeProfileId);
+        closeRulesEditor();
+        await applyBrandRules({ profileId: activeProfileId, rules, source: 'saved' });
+        showStatus(`${describeProfile(activeProfileId)} rules saved`, 'success');
+    } catch (error) {
+        console.error('Error saving brand rules:', error);
+        showStatus('Error saving brand rules', 'error');
+    } finally {
+        setButtonLoading(btn, false);
+    }
+}
+
+/**
+ * Forget the saved rules of the current profile and go back to its rules files
+ */
+async function handleResetRules() {
+    try {
+        await brandRulesStore.clear(activeProfileId);
+        closeRulesEditor();
+        const loaded = await loadBrandRules(activeProfileId);
+        await applyBrandRules(loaded);
+        showStatus(loaded.error
+            ? `Could not use the ${describeProfile(loaded.profileId)} rules (${loaded.error}). Using the built-in default rules.`
+            : `${describeProfile(loaded.profileId)} rules reset`, loaded.error ? 'error' : 'success');
+    } catch (error) {
+        console.error('Error resetting brand rules:', error);
+        showStatus('Error resetting brand rules', 'error');
+    }
+}
+
+/**
+ * Switch brand profile and remember it for this document
+ */
+async function handleProfileChange(event) {
+    const profileId = event.target.value;
+    closeRulesEditor();
+
+    try {
+        const loaded = await loadBrandRules(profileId);
+        activeProfileId = loaded.profileId;
+        await applyBrandRules(loaded);
+        await brandProfiles.setDocumentProfile(await getDocumentId(), profileId);
+
+        if (loaded.error) {
+            showStatus(`Could not use the ${describeProfile(profileId)} rules (${loaded.error}). Using the built-in default rules.`, 'error');
+        } else {
+            showStatus(`Checking against ${describeProfile(profileId)}`, 'success');
+            setTimeout(() => hideStatus(), 2000);
+        }
+    } catch (error) {
+        console.error('Error switching brand profile:', error);
+        showStatus('Error switching brand profile', 'error');
+    }
+}
+
+/**
+ * Check the document against new brand rules, keeping undo history and ignored violations
+ */
+async function applyBrandRules(loaded) {
+    brandRules = loaded.rules;
+    rulesSource = loaded.source;
+    complianceChecker.setBrandRules(brandRules);
+    updateRulesSource(loaded);
+    hidePreview();
+    await runComplianceCheck({ quiet: true });
+}
+
+/**
+ * Check if fixes should be previewed before they are applied
+ */
+function isPreviewEnabled() {
+    const toggle = document.getElementById('previewToggle');
+    return Boolean(toggle && toggle.checked);
+}
+
+/**
+ * Show the planned changes from a dry run, each selected by default
+ */
+function showPreview(plan) {
+    pendingChanges = plan.changes || [];
+
+    if (pendingChanges.length === 0) {
+        hidePreview();
+        showStatus(plan.message || 'No changes to make', 'info');
+        return;
+    }
+
+    const list = document.getElementById('previewList');
+    list.innerHTML = '';
+
+    for (const change of pendingChanges) {
+        const item = document.createElement('li');
+        item.className = 'preview-item';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.dataset.changeId = change.id;
+        checkbox.id = `preview-${change.id}`;
+
+        const label = document.createElement('label');
+        label.htmlFor = checkbox.id;
+
+        const layer = document.createElement('div');
+        layer.className = 'preview-item-layer';
+        layer.textContent = change.pageName ? `${change.layerName} (${change.pageName})` : change.layerName;
+
+        const detail = document.createElement('div');
+        detail.className = 'preview-item-change';
+        detail.textContent = `${change.property}: ${formatChangeValue(change.oldValue)} → ${formatChangeValue(change.newValue)}`;
+
+        label.append(layer, detail);
+        item.append(checkbox, label);
+        list.appendChild(item);
+    }
+
+    document.getElementById('previewSummary').textContent =
+        `${pendingChanges.length} change(s) planned. Untick any you do not want, then apply.`;
+    document.getElementById('previewSection').hidden = false;
+}
+
+/**
+ * Hide the fix preview and forget its planned changes
+ */
+function hidePreview() {
+    pendingChanges = [];
+    document.getElementById('previewList').innerHTML = '';
+    document.getElementById('previewSection').hidden = true;
+}
+
+/**
+ * Format a change value for display; bounds are shown as position and size
+ */
+function formatChangeValue(value) {
+    if (value && typeof value === 'object' && 'width' in value) {
+        return `${Math.round(value.x)},${Math.round(value.y)} ${Math.round(value.width)}×${Math.round(value.height)}`;
+    }
+    return value === undefined || value === null ? '—' : String(value);
+}
+
+/**
+ * Read fix options from the panel controls
+ */
+function getFixOptions() {
+    const clearSpaceSelect = document.getElementById('clearSpaceStrategy');
+    return {
+        clearSpaceStrategy: clearSpaceSelect && clearSpaceSelect.value ? clearSpaceSelect.value : undefined
+    };
+}
+
 /**
  * Set button loading state
  */
@@ -261,6 +1420,7 @@ function hideStatus() {
  */
 function getDefaultBrandRules() {
     return {
+        schemaVersion: 2,
         brandName: "Enterprise Brand",
         colors: {
             approved: [
@@ -271,22 +1431,101 @@ function getDefaultBrandRules() {
                 { name: "White", hex: "#FFFFFF", usage: "background" },
                 { name: "Black", hex: "#000000", usage: "text" }
             ],
-            tolerance: 10
+            distanceModel: "ciede2000",
+            tolerance: 3,
+            usageRules: {
+                text: ["text"],
+                fill: ["primary", "secondary", "accent", "background"],
+                largeFill: ["background", "primary"],
+                stroke: ["primary", "secondary", "text"],
+                largeFillMinArea: 0.25
+            }
         },
         fonts: {
             approved: [
-                { name: "Roboto", fallback: "sans-serif" },
-                { name: "Open Sans", fallback: "sans-serif" }
+                { name: "Roboto", fallback: "sans-serif", weights: [400, 500, 700], styles: ["normal", "italic"] },
+                { name: "Open Sans", fallback: "sans-serif", weights: [300, 400, 600, 700], styles: ["normal"] }
+            ],
+            default: { name: "Roboto", fallback: "sans-serif" },
+            substitutions: [
+                { fromClass: "serif", to: "Open Sans" }
+            ],
+            weightRules: [
+                { maxWeight: 300, minSize: 14, description: "Light weights are only allowed at 14px and above" }
             ],
-            default: { name: "Roboto", fallback: "sans-serif" }
+            roles: {
+                heading: { sizes: [32, 40, 48, 64], weights: [700] },
+                subheading: { sizes: [20, 24, 28], weights: [500, 600, 700] },
+                body: { sizes: [14, 16, 18] },
+                caption: { sizes: [10, 12] }
+            }
         },
         logo: {
             identifier: "logo",
             minWidth: 100,
             minHeight: 50,
+            relativeSize: { width: { min: 8, max: 30 } },
+            formats: [
+                { name: "Instagram Story", match: { width: 1080, height: 1920 }, relativeSize: { width: { min: 20, max: 50 } } },
+                { name: "Business Card", match: { width: 1050, height: 600 }, minWidth: 60, minHeight: 30, relativeSize: { width: { min: 15, max: 40 } } },
+                { name: "Banner", match: { aspectRatio: { min: 3 } }, relativeSize: { height: { min: 40, max: 80 } } }
+            ],
             aspectRatio: { min: 1.5, max: 3.0 },
             allowedPositions: ["top-left", "top-right", "bottom-left", "bottom-right"],
-            minDistanceFromEdge: 20
+            minDistanceFromEdge: 20,
+            preferredPosition: "top-left",
+            clearSpace: { heightMultiple: 0.5, fixStrategy: "move-intruders" },
+            variants: [
+                { id: "horizontal", name: "Horizontal Lockup", identifiers: ["logo-horizontal", "horizontal logo"], minWidth: 120, minHeight: 40, aspectRatio: { min: 2.5, max: 3.5 } },
+                { id: "stacked", name: "Stacked Mark", identifiers: ["logo-stacked", "stacked logo"], minWidth: 80, minHeight: 80, aspectRatio: { min: 0.8, max: 1.3 } },
+                { id: "icon", name: "Icon Only", identifiers: ["logo-icon", "logo-mark", "brand-icon"], minWidth: 32, minHeight: 32, aspectRatio: { min: 0.95, max: 1.05 } }
+            ]
+        },
+        contrast: {
+            level: "AA",
+            largeTextSize: 24,
+            largeBoldTextSize: 18.66,
+            defaultBackground: "#FFFFFF"
+        },
+        scoring: {
+            severityPoints: { error: 10, warning: 5, info: 1 },
+            maxDeduction: 30,
+            categories: {
+                colors: { weight: 1, severities: { "unapproved": "error", "wrong-usage": "warning" } },
+                fonts: {
+                    weight: 1,
+                    severities: {
+                        "unapproved-font": "error",
+                        "unapproved-variant": "warning",
+                        "weight-not-allowed": "warning",
+                        "weight-too-light": "warning",
+                        "style-not-allowed": "warning",
+                        "size-off-scale": "info"
+                    }
+                },
+                logo: {
+                    weight: 1.5,
+                    maxDeduction: 45,
+                    severities: {
+                        "missing": "error",
+                        "altered": "error",
+                        "too-small": "error",
+                        "too-large": "warning",
+                        "aspect-ratio": "error",
+                        "position": "warning",
+                        "clear-space": "warning"
+                    }
+                },
+                contrast: { weight: 1, severities: { "below-aa": "error", "below-aaa": "warning" } }
+            },
+            blocking: ["logo.missing"],
+            bands: [
+                { min: 90, label: "Excellent" },
+                { min: 70, label: "Good" },
+                { min: 50, label: "Needs Improvement", status: "warning" },
+                { min: 30, label: "Poor", status: "error" },
+                { min: 0, label: "Critical", status: "error" }
+            ]
         }
     };
 }
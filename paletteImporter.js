@@ -0,0 +1,404 @@
+/**
+ * Palette Importer
+ * Reads brand palettes from Adobe Swatch Exchange (.ase), GIMP palettes (.gpl),
+ * CSS custom properties and W3C design tokens (DTCG JSON) into colors.approved entries
+ * Files are parsed locally; nothing is uploaded
+ */
+
+const PALETTE_FORMATS = ['ase', 'gpl', 'css', 'tokens'];
+
+// Words in a swatch group, token path or variable name that give a color's usage
+const USAGE_KEYWORDS = {
+    primary: ['primary', 'brand', 'main'],
+    secondary: ['secondary'],
+    accent: ['accent', 'highlight', 'tertiary'],
+    text: ['text', 'foreground', 'fg', 'ink', 'content'],
+    background: ['background', 'bg', 'surface', 'canvas', 'paper', 'neutral']
+};
+
+// Usage for colors whose names say nothing about it
+export const DEFAULT_IMPORT_USAGE = 'primary';
+
+// ASE block types
+const ASE_GROUP_START = 0xC001;
+const ASE_GROUP_END = 0xC002;
+const ASE_COLOR_ENTRY = 0x0001;
+
+// Extension namespace the token exporter writes usage into
+export const TOKEN_EXTENSION = 'com.brandguard';
+
+export class PaletteImporter {
+    /**
+     * Work out a file's format from its name, then its content
+     */
+    detectFormat(fileName, content) {
+        const extension = (fileName.split('.').pop() || '').toLowerCase();
+        if (extension === 'ase') return 'ase';
+        if (extension === 'gpl') return 'gpl';
+        if (['css', 'scss', 'less'].includes(extension)) return 'css';
+        if (extension === 'json' || extension === 'tokens') return 'tokens';
+
+        if (content instanceof ArrayBuffer) return 'ase';
+        const text = String(content).trim();
+        if (text.startsWith('GIMP Palette')) return 'gpl';
+        if (text.startsWith('{')) return 'tokens';
+        if (/--[\w-]+\s*:/.test(text)) return 'css';
+        return null;
+    }
+
+    /**
+     * Import a palette file
+     * `content` is an ArrayBuffer for .ase files and text for the others
+     * Returns { format, colors, skipped, unclassified } where colors are { name, hex, usage },
+     * skipped lists entries that are not usable colors and unclassified the names whose
+     * usage could not be inferred (they get the default usage)
+     */
+    import(fileName, content, format = this.detectFormat(fileName, content)) {
+        if (!PALETTE_FORMATS.includes(format)) {
+            throw new Error(`Unsupported palette format for ${fileName}`);
+        }
+
+        const result = { format, colors: [], skipped: [], unclassified: [] };
+        const entries = format === 'ase' ? this.parseAse(content, result)
+            : format === 'gpl' ? this.parseGpl(content, result)
+            : format === 'css' ? this.parseCss(content, result)
+            : this.parseDesignTokens(content, result);
+
+        const seen = new Set();
+        for (const entry of entries) {
+            if (seen.has(entry.hex)) {
+                result.skipped.push({ name: entry.name, reason: `duplicate of ${entry.hex}` });
+                continue;
+            }
+            seen.add(entry.hex);
+
+            const usage = entry.usage || this.inferUsage(entry.path || [entry.name]);
+            if (!usage) result.unclassified.push(entry.name);
+            result.colors.push({ name: entry.name, hex: entry.hex, usage: usage || DEFAULT_IMPORT_USAGE });
+        }
+        return result;
+    }
+
+    /**
+     * Parse an Adobe Swatch Exchange file
+     * Swatch groups become the path used to infer usage
+     */
+    parseAse(buffer, result) {
+        const view = new DataView(buffer);
+        if (buffer.byteLength < 12) throw new Error('Not an Adobe Swatch Exchange file');
+        const signature = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+        if (signature !== 'ASEF') throw new Error('Not an Adobe Swatch Exchange file');
+
+        const blockCount = view.getUint32(8);
+        const entries = [];
+        let offset = 12;
+        let group = null;
+
+        // Every read is checked against the file and block length, so truncated files fail with a clear message
+        const corrupt = (block, problem) => new Error(`Corrupt ASE file: block ${block + 1} of ${blockCount} ${problem}`);
+
+        for (let block = 0; block < blockCount; block++) {
+            if (offset + 6 > buffer.byteLength) throw corrupt(block, 'is missing (the file is truncated)');
+            const type = view.getUint16(offset);
+            const length = view.getUint32(offset + 2);
+            const start = offset + 6;
+            offset = start + length;
+            if (offset > buffer.byteLength) throw corrupt(block, 'ends past the end of the file');
+
+            if (type === ASE_GROUP_END) {
+                group = null;
+                continue;
+            }
+            if (type !== ASE_GROUP_START && type !== ASE_COLOR_ENTRY) continue;
+
+            const { text: name, end } = this.readAseString(view, start, offset);
+            if (end > offset) throw corrupt(block, 'has a name longer than the block');
+            if (type === ASE_GROUP_START) {
+                group = name;
+                continue;
+            }
+
+            if (end + 4 > offset) throw corrupt(block, 'has no color model');
+            const model = String.fromCharCode(...[0, 1, 2, 3].map(i => view.getUint8(end + i))).trim().toUpperCase();
+            const valueCount = { RGB: 3, CMYK: 4, LAB: 3, GRAY: 1 }[model];
+            if (!valueCount) {
+                result.skipped.push({ name, reason: `unsupported color model ${model}` });
+                continue;
+            }
+
+            if (end + 4 + valueCount * 4 > offset) throw corrupt(block, `is too short for ${model} values`);
+            const values = [];
+            for (let i = 0; i < valueCount; i++) values.push(view.getFloat32(end + 4 + i * 4));
+            const rgb = this.aseValuesToRgb(model, values);
+            entries.push({ name, hex: this.rgbToHex(rgb), path: group ? [group, name] : [name] });
+        }
+        return entries;
+    }
+
+    /**
+     * Read an ASE string: UTF-16 code unit count (including the terminator), then UTF-16BE text
+     * Reading stops at `limit`; `end` then lies past it, which the caller reports
+     */
+    readAseString(view, offset, limit = view.byteLength) {
+        if (offset + 2 > limit) return { text: '', end: offset + 2 };
+        const length = view.getUint16(offset);
+        let text = '';
+        for (let i = 0; i < length && offset + 4 + i * 2 <= limit; i++) {
+            const code = view.getUint16(offset + 2 + i * 2);
+            if (code !== 0) text += String.fromCharCode(code);
+        }
+        return { text, end: offset + 2 + length * 2 };
+    }
+
+    /**
+     * Convert ASE color values (0-1 floats; Lab L in 0-1) to 0-255 RGB
+     */
+    aseValuesToRgb(model, values) {
+        switch (model) {
+            case 'RGB':
+                return { r: values[0] * 255, g: values[1] * 255, b: values[2] * 255 };
+            case 'CMYK': {
+                const [c, m, y, k] = values;
+                return { r: 255 * (1 - c) * (1 - k), g: 255 * (1 - m) * (1 - k), b: 255 * (1 - y) * (1 - k) };
+            }
+            case 'LAB':
+                return this.labToRgb(values[0] * 100, values[1], values[2]);
+            default:
+                return { r: values[0] * 255, g: values[0] * 255, b: values[0] * 255 };
+        }
+    }
+
+    /**
+     * Parse a GIMP palette: "R G B Name" per line
+     */
+    parseGpl(text, result) {
+        const lines = String(text).split(/\r?\n/);
+        if (!lines[0].trim().startsWith('GIMP Palette')) throw new Error('Not a GIMP palette');
+
+        const entries = [];
+        for (const line of lines.slice(1)) {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#') || /^(Name|Columns):/i.test(trimmed)) continue;
+
+            const match = /^(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})\s*(.*)$/.exec(trimmed);
+            if (!match) {
+                result.skipped.push({ name: trimmed, reason: 'not an "R G B Name" line' });
+                continue;
+            }
+
+            const hex = this.rgbToHex({ r: +match[1], g: +match[2], b: +match[3] });
+            entries.push({ name: match[4].trim() || hex, hex });
+        }
+        return entries;
+    }
+
+    /**
+     * Parse CSS custom properties holding colors (hex, rgb() or hsl(), or var() of another color)
+     * The variable name gives the color name and usage, e.g. --brand-primary-blue
+     */
+    parseCss(text, result) {
+        const declarations = [];
+        const pattern = /(--[\w-]+)\s*:\s*([^;}]+)/g;
+        let match;
+        while ((match = pattern.exec(String(text))) !== null) {
+            declarations.push({ variable: match[1], value: match[2].trim() });
+        }
+
+        const values = new Map(declarations.map(d => [d.variable, d.value]));
+        const entries = [];
+        for (const { variable, value } of declarations) {
+            const resolved = this.resolveCssValue(value, values);
+            const rgb = resolved && this.parseCssColor(resolved);
+            if (!rgb) {
+                result.skipped.push({ name: variable, reason: `"${value}" is not a color` });
+                continue;
+            }
+
+            const words = variable.replace(/^--/, '').split(/[-_]+/).filter(Boolean);
+            entries.push({ name: this.titleCase(words.join(' ')), hex: this.rgbToHex(rgb), path: words });
+        }
+        return entries;
+    }
+
+    /**
+     * Follow var() references to another custom property
+     */
+    resolveCssValue(value, values, depth = 0) {
+        const reference = /^var\(\s*(--[\w-]+)\s*(?:,\s*(.+))?\)$/.exec(value);
+        if (!reference) return value;
+        if (depth > 10) return null;
+
+        const target = values.get(reference[1]);
+        if (target !== undefined) return this.resolveCssValue(target, values, depth + 1);
+        return reference[2] ? this.resolveCssValue(reference[2].trim(), values, depth + 1) : null;
+    }
+
+    /**
+     * Parse a CSS color: #RGB, #RRGGBB (alpha ignored), rgb()/rgba() or hsl()/hsla()
+     */
+    parseCssColor(value) {
+        const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(value);
+        if (hex) {
+            const digits = hex[1].length <= 4 ? hex[1].slice(0, 3).split('').map(d => d + d).join('') : hex[1].slice(0, 6);
+            return {
+                r: parseInt(digits.slice(0, 2), 16),
+                g: parseInt(digits.slice(2, 4), 16),
+                b: parseInt(digits.slice(4, 6), 16)
+            };
+        }
+
+        const fn = /^(rgba?|hsla?)\(\s*([^)]+)\)$/i.exec(value);
+        if (!fn) return null;
+
+        const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+        if (parts.length < 3) return null;
+
+        if (fn[1].toLowerCase().startsWith('rgb')) {
+            const channel = part => part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part);
+            const [r, g, b] = parts.slice(0, 3).map(channel);
+            return [r, g, b].some(Number.isNaN) ? null : { r, g, b };
+        }
+
+        const [h, s, l] = [parseFloat(parts[0]), parseFloat(parts[1]) / 100, parseFloat(parts[2]) / 100];
+        return [h, s, l].some(Number.isNaN) ? null : this.hslToRgb(h, s, l);
+    }
+
+    /**
+     * Parse W3C design tokens (DTCG): nested groups of tokens with $value and $type
+     * Token aliases ("{color.brand.primary}") are followed; non-color tokens are skipped
+     */
+    parseDesignTokens(text, result) {
+        const root = typeof text === 'string' ? JSON.parse(text) : text;
+        const tokens = new Map();
+
+        const walk = (node, path, inheritedType) => {
+            if (!node || typeof node !== 'object') return;
+            const type = node.$type || inheritedType;
+
+            if ('$value' in node) {
+                tokens.set(path.join('.'), { node, path, type });
+                return;
+            }
+            for (const [key, child] of Object.entries(node)) {
+                if (!key.startsWith('$')) walk(child, [...path, key], type);
+            }
+        };
+        walk(root, [], null);
+
+        const entries = [];
+        for (const { node, path, type } of tokens.values()) {
+            if (type && type !== 'color') continue;
+
+            const name = this.getTokenName(node, path);
+            const value = this.resolveTokenValue(node.$value, tokens);
+            const rgb = value && this.parseTokenColor(value);
+            if (!rgb) {
+                if (type === 'color') result.skipped.push({ name, reason: 'unsupported color value' });
+                continue;
+            }
+
+            const extension = (node.$extensions && node.$extensions[TOKEN_EXTENSION]) || {};
+            entries.push({ name, hex: this.rgbToHex(rgb), path, usage: extension.usage || null });
+        }
+        return entries;
+    }
+
+    /**
+     * Name a token: its exported brand name, else its path
+     */
+    getTokenName(node, path) {
+        const extension = node.$extensions && node.$extensions[TOKEN_EXTENSION];
+        if (extension && extension.name) return extension.name;
+        return this.titleCase(path.filter(segment => segment.toLowerCase() !== 'color').join(' ').replace(/[-_]+/g, ' '));
+    }
+
+    /**
+     * Follow "{group.token}" aliases
+     */
+    resolveTokenValue(value, tokens, depth = 0) {
+        const alias = typeof value === 'string' && /^\{([^}]+)\}$/.exec(value);
+        if (!alias) return value;
+        if (depth > 10) return null;
+
+        const target = tokens.get(alias[1]);
+        return target ? this.resolveTokenValue(target.node.$value, tokens, depth + 1) : null;
+    }
+
+    /**
+     * Parse a token color: a CSS color string, or a DTCG color object with
+     * `hex`, or sRGB `components` (0-1)
+     */
+    parseTokenColor(value) {
+        if (typeof value === 'string') return this.parseCssColor(value.trim());
+        if (!value || typeof value !== 'object') return null;
+
+        if (value.hex) return this.parseCssColor(value.hex);
+        if (Array.isArray(value.components) && (!value.colorSpace || value.colorSpace === 'srgb')) {
+            const [r, g, b] = value.components.map(component => component * 255);
+            return { r, g, b };
+        }
+        return null;
+    }
+
+    /**
+     * Infer a usage from the words of a group, token path or variable name
+     * The most specific (last) word that names a usage wins; returns null when none does
+     */
+    inferUsage(path) {
+        const words = path.flatMap(segment => String(segment).toLowerCase().split(/[\s._\-/]+/));
+        for (const word of words.reverse()) {
+            for (const [usage, keywords] of Object.entries(USAGE_KEYWORDS)) {
+                if (keywords.includes(word)) return usage;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Convert CIE L*a*b* (D65) to 0-255 sRGB
+     */
+    labToRgb(L, a, b) {
+        const fy = (L + 16) / 116;
+        const fx = fy + a / 500;
+        const fz = fy - b / 200;
+        const inverse = t => (t ** 3 > 0.008856 ? t ** 3 : (t - 16 / 116) / 7.787);
+
+        const x = 0.95047 * inverse(fx);
+        const y = 1.00000 * inverse(fy);
+        const z = 1.08883 * inverse(fz);
+
+        const linear = [
+            x * 3.2404542 + y * -1.5371385 + z * -0.4985314,
+            x * -0.9692660 + y * 1.8760108 + z * 0.0415560,
+            x * 0.0556434 + y * -0.2040259 + z * 1.0572252
+        ];
+        const [r, g, bl] = linear.map(c => 255 * (c > 0.0031308 ? 1.055 * c ** (1 / 2.4) - 0.055 : 12.92 * c));
+        return { r, g, b: bl };
+    }
+
+    /**
+     * Convert HSL (hue in degrees, saturation and lightness 0-1) to 0-255 RGB
+     */
+    hslToRgb(h, s, l) {
+        const hue = ((h % 360) + 360) % 360;
+        const k = n => (n + hue / 30) % 12;
+        const a = s * Math.min(l, 1 - l);
+        const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+        return { r: f(0) * 255, g: f(8) * 255, b: f(4) * 255 };
+    }
+
+    /**
+     * Convert 0-255 RGB to an upper-case #RRGGBB hex, clamping out-of-gamut values
+     */
+    rgbToHex(rgb) {
+        const channel = value => Math.round(Math.min(255, Math.max(0, value))).toString(16).padStart(2, '0');
+        return `#${channel(rgb.r)}${channel(rgb.g)}${channel(rgb.b)}`.toUpperCase();
+    }
+
+    /**
+     * Capitalize each word of a name
+     */
+    titleCase(text) {
+        return text.replace(/\b\w/g, letter => letter.toUpperCase());
+    }
+}
@@ -0,0 +1,252 @@
+/**
+ * Compliance Report Generator
+ * Turns the result of checkAll and calculateScore into an audit report:
+ * machine-readable JSON, or a standalone HTML page that prints to PDF
+ */
+
+// Bump when the JSON report layout changes
+const REPORT_FORMAT_VERSION = 1;
+
+const REPORT_CATEGORY_TITLES = {
+    colors: 'Colors',
+    fonts: 'Fonts',
+    logo: 'Logo',
+    contrast: 'Contrast'
+};
+
+export class ReportGenerator {
+    /**
+     * Build the report data
+     * context: { brandRules, profileId, profileName, rulesSource, documentId, documentTitle }
+     * Each violation carries its scoring (severity, points, blocking) and what it is vs. what is expected
+     */
+    createReport(complianceData, scoreResult, context = {}) {
+        const brandRules = context.brandRules || {};
+        const categories = {};
+
+        for (const category of Object.keys(REPORT_CATEGORY_TITLES)) {
+            const data = complianceData[category] || {};
+            const categoryScore = scoreResult.categories[category] || { deductions: [] };
+            const items = (category === 'logo' ? data.issues : data.violations) || [];
+
+            categories[category] = {
+                title: REPORT_CATEGORY_TITLES[category],
+                isCompliant: Boolean(data.isCompliant),
+                details: data.details || '',
+                violationCount: items.length,
+                ignoredCount: data.ignoredCount || 0,
+                deducted: categoryScore.deducted || 0,
+                capped: Boolean(categoryScore.capped),
+                // Deductions are listed in the same order as the violations they score
+                violations: items.map((violation, index) =>
+                    this.describeViolation(category, violation, categoryScore.deductions[index]))
+            };
+        }
+
+        return {
+            reportVersion: REPORT_FORMAT_VERSION,
+            generatedAt: new Date().toISOString(),
+            checkedAt: complianceData.checkedAt || null,
+            document: {
+                id: context.documentId || null,
+                title: context.documentTitle || null
+            },
+            rules: {
+                brandName: brandRules.brandName || null,
+                schemaVersion: brandRules.schemaVersion || null,
+                profileId: context.profileId || null,
+                profileName: context.profileName || null,
+                source: context.rulesSource || null,
+                fingerprint: this.fingerprint(brandRules)
+            },
+            score: {
+                value: scoreResult.score,
+                description: scoreResult.description,
+                status: scoreResult.status,
+                blocked: scoreResult.blocked,
+                blockedBy: scoreResult.blockedBy
+            },
+            categories
+        };
+    }
+
+    /**
+     * Describe one violation for the report
+     * `current` and `expected` are plain text; the colors are kept separately for swatches
+     */
+    describeViolation(category, violation, deduction = {}) {
+        const entry = {
+            type: deduction.type || violation.violationType || violation.type || null,
+            severity: deduction.severity || null,
+            points: deduction.points || 0,
+            blocking: Boolean(deduction.blocking),
+            layerId: violation.layerId || null,
+            layerName: violation.layerName || null,
+            pageName: violation.pageName || null,
+            layerPath: violation.layerPath || null,
+            message: violation.message || null,
+            current: null,
+            expected: null,
+            currentColor: null,
+            expectedColor: null
+        };
+
+        switch (category) {
+            case 'colors': {
+                const where = violation.locationLabel || violation.type;
+                const brandColor = violation.closestBrandColor;
+                entry.current = `${where}: ${violation.currentColor}`;
+                entry.currentColor = violation.currentColor;
+                if (violation.violationType === 'wrong-usage') {
+                    entry.message = `${violation.matchedBrandColor ? violation.matchedBrandColor.name : violation.currentColor} is not allowed for ${violation.role}`;
+                }
+                if (brandColor) {
+                    entry.expected = `${brandColor.name} (${brandColor.hex})`;
+                    entry.expectedColor = brandColor.hex;
+                }
+                break;
+            }
+            case 'fonts':
+                if (violation.violationType === 'unapproved-font' || violation.violationType === 'unapproved-variant') {
+                    entry.current = violation.currentFont;
+                    entry.expected = violation.replacementFont || null;
+                } else {
+                    // Weight, style or size of an approved font
+                    const unit = violation.violationType === 'size-off-scale' ? 'px' : '';
+                    entry.current = `${violation.currentFont}, ${violation.currentValue}${unit}`;
+                    entry.expected = violation.suggestedValue !== undefined ? `${violation.suggestedValue}${unit}` : null;
+                }
+                break;
+            case 'contrast':
+                entry.current = `${violation.locationLabel ? `${violation.locationLabel}: ` : ''}` +
+                    `${violation.ratio}:1 (${violation.textColor} on ${violation.backgroundColor})`;
+                entry.currentColor = violation.textColor;
+                entry.expected = `${violation.requiredRatio}:1 (WCAG ${violation.level})`;
+                if (violation.suggestedColor) {
+                    entry.expected += ` with ${violation.suggestedColor.name} (${violation.suggestedColor.hex})`;
+                    entry.expectedColor = violation.suggestedColor.hex;
+                }
+                break;
+            default:
+                // Logo messages already state the measured and allowed values
+                entry.current = violation.message;
+        }
+        return entry;
+    }
+
+    /**
+     * Short hash of the brand rules, so a report can be matched to the exact rules it was checked with
+     */
+    fingerprint(brandRules) {
+        const text = JSON.stringify(brandRules);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Serialize a report as JSON
+     */
+    toJson(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    /**
+     * Render a report as a standalone, printable HTML page
+     */
+    toHtml(report) {
+        const e = value => this.escapeHtml(value);
+        const title = `${report.rules.brandName || 'Brand'} compliance report`;
+        const meta = [
+            ['Document', report.document.title || report.document.id || 'Untitled document'],
+            ['Brand profile', report.rules.profileName || report.rules.profileId || '—'],
+            ['Rules', `schema version ${report.rules.schemaVersion || '—'}, ${report.rules.source || 'unknown'} rules, fingerprint ${report.rules.fingerprint}`],
+            ['Checked', this.formatTime(report.checkedAt)],
+            ['Report generated', this.formatTime(report.generatedAt)]
+        ];
+        const blockers = [...new Set(report.score.blockedBy.map(b => `${b.category}: ${b.type}`))];
+
+        const sections = Object.values(report.categories).map(category => `
+    <section>
+        <h2>${e(category.title)} <span class="status ${category.isCompliant ? 'pass' : 'fail'}">${category.isCompliant ? 'Compliant' : 'Violation'}</span></h2>
+        <p>${e(category.details)}${category.deducted ? ` — ${e(category.deducted)} points deducted${category.capped ? ' (capped)' : ''}` : ''}${category.ignoredCount ? ` — ${e(category.ignoredCount)} ignored` : ''}</p>
+        ${category.violations.length === 0 ? '' : `<table>
+            <thead><tr><th>Layer</th><th>Current</th><th>Expected</th><th>Severity</th></tr></thead>
+            <tbody>${category.violations.map(v => `
+                <tr>
+                    <td>${e(v.layerPath || v.layerName || 'Document')}${v.pageName && !v.layerPath ? `<div class="muted">${e(v.pageName)}</div>` : ''}</td>
+                    <td>${this.renderSwatch(v.currentColor)}${e(v.current || '')}${v.message && v.message !== v.current ? `<div class="muted">${e(v.message)}</div>` : ''}</td>
+                    <td>${this.renderSwatch(v.expectedColor)}${e(v.expected || '—')}</td>
+                    <td>${e(v.severity || '')}${v.blocking ? ' (blocking)' : ''}${v.points ? `<div class="muted">-${e(v.points)} pts</div>` : ''}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`}
+    </section>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${e(title)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #2c2c2c; margin: 32px; font-size: 13px; }
+        h1 { font-size: 22px; margin: 0 0 16px; }
+        h2 { font-size: 16px; margin: 24px 0 8px; }
+        dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 0 0 16px; }
+        dt { color: #6e6e6e; }
+        dd { margin: 0; }
+        .score { font-size: 40px; font-weight: 700; }
+        .status { font-size: 12px; font-weight: 600; padding: 2px 8px; border-radius: 10px; vertical-align: middle; }
+        .pass { background: #e6f4ea; color: #12805c; }
+        .fail { background: #fdecea; color: #d7373f; }
+        .warning { color: #e68619; }
+        .error { color: #d7373f; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; vertical-align: top; padding: 6px 8px; border-bottom: 1px solid #e1e1e1; }
+        th { font-size: 12px; color: #6e6e6e; }
+        .muted { color: #6e6e6e; font-size: 12px; }
+        .swatch { display: inline-block; width: 12px; height: 12px; border: 1px solid #b3b3b3; border-radius: 2px; margin-right: 6px; vertical-align: middle; }
+        * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        @media print { body { margin: 0; } section { break-inside: avoid-page; } tr { break-inside: avoid; } }
+    </style>
+</head>
+<body>
+    <h1>${e(title)}</h1>
+    <div class="score ${e(report.score.status)}">${e(report.score.value)}<span class="muted"> / 100</span></div>
+    <p>${e(report.score.description)}${report.score.blocked ? ` (blocked by ${e(blockers.join(', '))})` : ''}</p>
+    <dl>${meta.map(([label, value]) => `<dt>${e(label)}</dt><dd>${e(value)}</dd>`).join('')}</dl>
+${sections}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Render a color swatch, or nothing when there is no color
+     */
+    renderSwatch(hex) {
+        if (!hex || !/^#[0-9a-f]{3,8}$/i.test(hex)) return '';
+        return `<span class="swatch" style="background:${hex}"></span>`;
+    }
+
+    /**
+     * Format an ISO timestamp for the printed report
+     */
+    formatTime(isoTime) {
+        return isoTime ? new Date(isoTime).toLocaleString() : '—';
+    }
+
+    /**
+     * Escape text for HTML
+     */
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
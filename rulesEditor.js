@@ -0,0 +1,228 @@
+/**
+ * Brand Rules Editor
+ * Edits a working copy of the brand rules and validates it before it is saved
+ */
+
+const COLOR_USAGES = ['primary', 'secondary', 'accent', 'text', 'background'];
+const LOGO_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+export class RulesEditor {
+    constructor(brandRules, validator) {
+        this.validator = validator;
+        this.draft = JSON.parse(JSON.stringify(brandRules));
+        this.draft.colors = this.draft.colors || {};
+        this.draft.colors.approved = this.draft.colors.approved || [];
+        this.draft.fonts = this.draft.fonts || {};
+        this.draft.fonts.approved = this.draft.fonts.approved || [];
+        this.draft.logo = this.draft.logo || {};
+    }
+
+    /**
+     * Get the edited rules
+     */
+    getRules() {
+        return JSON.parse(JSON.stringify(this.draft));
+    }
+
+    /**
+     * Get the usages a color can be given: the standard ones plus any the rules already use
+     */
+    getColorUsages() {
+        const used = this.draft.colors.approved.map(color => color.usage).filter(Boolean);
+        return [...new Set([...COLOR_USAGES, ...used])];
+    }
+
+    /**
+     * Add an approved color
+     */
+    addColor(color = { name: 'New Color', hex: '#000000', usage: 'primary' }) {
+        this.draft.colors.approved.push({ ...color });
+        return this.draft.colors.approved.length - 1;
+    }
+
+    /**
+     * Change one field (name, hex or usage) of an approved color
+     */
+    updateColor(index, field, value) {
+        const color = this.draft.colors.approved[index];
+        if (!color) return;
+        color[field] = field === 'hex' ? String(value).toUpperCase() : value;
+    }
+
+    /**
+     * Add imported colors, skipping any whose hex is already approved
+     * With `replace`, the imported colors replace the palette
+     * Returns { added, duplicates }
+     */
+    importColors(colors, { replace = false } = {}) {
+        if (replace) this.draft.colors.approved = [];
+
+        const existing = new Set(this.draft.colors.approved.map(color => (color.hex || '').toUpperCase()));
+        let added = 0;
+        let duplicates = 0;
+        for (const color of colors) {
+            if (existing.has(color.hex.toUpperCase())) {
+                duplicates++;
+                continue;
+            }
+            existing.add(color.hex.toUpperCase());
+            this.draft.colors.approved.push({ ...color });
+            added++;
+        }
+        return { added, duplicates };
+    }
+
+    /**
+     * Remove an approved color
+     */
+    removeColor(index) {
+        this.draft.colors.approved.splice(index, 1);
+    }
+
+    /**
+     * Add an approved font
+     */
+    addFont(font = { name: '', fallback: 'sans-serif', weights: [400], styles: ['normal'] }) {
+        this.draft.fonts.approved.push({ ...font });
+        return this.draft.fonts.approved.length - 1;
+    }
+
+    /**
+     * Change one field of an approved font
+     * Weights and styles accept a comma-separated list
+     * Renaming a font renames it as the default font and substitution target too
+     */
+    updateFont(index, field, value) {
+        const font = this.draft.fonts.approved[index];
+        if (!font) return;
+
+        if (field === 'weights') {
+            font.weights = this.parseList(value).map(Number);
+        } else if (field === 'styles') {
+            font.styles = this.parseList(value);
+        } else {
+            if (field === 'name') {
+                if (this.draft.fonts.default && this.draft.fonts.default.name === font.name) {
+                    this.draft.fonts.default.name = value;
+                }
+                for (const substitution of this.draft.fonts.substitutions || []) {
+                    if (substitution.to === font.name) substitution.to = value;
+                }
+            }
+            font[field] = value;
+        }
+    }
+
+    /**
+     * Remove an approved font, with the substitutions that replaced fonts by it
+     */
+    removeFont(index) {
+        const [font] = this.draft.fonts.approved.splice(index, 1);
+        if (font && this.draft.fonts.substitutions) {
+            this.draft.fonts.substitutions = this.draft.fonts.substitutions.filter(s => s.to !== font.name);
+        }
+    }
+
+    /**
+     * Make an approved font the default replacement font
+     */
+    setDefaultFont(name) {
+        const font = this.draft.fonts.approved.find(f => f.name === name);
+        this.draft.fonts.default = { name, fallback: font ? font.fallback : 'sans-serif' };
+    }
+
+    /**
+     * Get the logo variants as { id, name }
+     */
+    getLogoVariants() {
+        return (this.draft.logo.variants || []).map((variant, index) => ({
+            id: variant.id || `variant-${index + 1}`,
+            name: variant.name || variant.id || `Variant ${index + 1}`
+        }));
+    }
+
+    /**
+     * Get the rules object a logo constraint is edited on: a variant's, or the top-level logo rules
+     */
+    getLogoTarget(variantId = null) {
+        if (!variantId) return this.draft.logo;
+        const index = this.getLogoVariants().findIndex(variant => variant.id === variantId);
+        return index >= 0 ? this.draft.logo.variants[index] : this.draft.logo;
+    }
+
+    /**
+     * Set a numeric logo constraint by path (e.g. 'aspectRatio.min'); an empty value removes it
+     * With a variant id the constraint is set on that variant, where it wins over the top-level value
+     */
+    setLogoValue(path, value, variantId = null) {
+        const keys = path.split('.');
+        let target = this.getLogoTarget(variantId);
+        for (const key of keys.slice(0, -1)) {
+            target[key] = target[key] || {};
+            target = target[key];
+        }
+
+        const last = keys[keys.length - 1];
+        if (value === '' || value === null || value === undefined) {
+            delete target[last];
+        } else {
+            target[last] = Number(value);
+        }
+    }
+
+    /**
+     * Get a logo constraint by path, of a variant or the top-level logo rules
+     */
+    getLogoValue(path, variantId = null) {
+        return path.split('.').reduce((value, key) => (value ? value[key] : undefined), this.getLogoTarget(variantId));
+    }
+
+    /**
+     * Get the names of the variants that set a constraint themselves, so the top-level value does not apply to them
+     */
+    getLogoOverrides(path) {
+        const key = path.split('.')[0];
+        return this.getLogoVariants()
+            .filter((variant, index) => this.draft.logo.variants[index][key] !== undefined)
+            .map(variant => variant.name);
+    }
+
+    /**
+     * Allow or disallow a logo position
+     */
+    setPositionAllowed(position, allowed) {
+        const positions = new Set(this.draft.logo.allowedPositions || []);
+        if (allowed) {
+            positions.add(position);
+        } else {
+            positions.delete(position);
+        }
+        this.draft.logo.allowedPositions = LOGO_POSITIONS.filter(p => positions.has(p));
+    }
+
+    /**
+     * Set the position the logo fix moves logos to
+     */
+    setPreferredPosition(position) {
+        if (position) {
+            this.draft.logo.preferredPosition = position;
+        } else {
+            delete this.draft.logo.preferredPosition;
+        }
+    }
+
+    /**
+     * Validate the edited rules against the brand rules schema
+     * Returns a list of { path, message }; an empty list means the rules can be saved
+     */
+    validate() {
+        return this.validator.validate(this.draft);
+    }
+
+    /**
+     * Split a comma-separated list
+     */
+    parseList(value) {
+        return String(value).split(',').map(item => item.trim()).filter(Boolean);
+    }
+}
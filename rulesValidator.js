@@ -0,0 +1,316 @@
+/**
+ * Brand Rules Validator
+ * Migrates older brand rule files to the current format and validates them
+ * against brandRules.schema.json, reporting every problem with its path
+ */
+
+export const CURRENT_SCHEMA_VERSION = 2;
+
+// Files without a schemaVersion were written before versioning
+const LEGACY_SCHEMA_VERSION = 1;
+
+// The schema published next to this module
+const SCHEMA_URL = new URL('./brandRules.schema.json', import.meta.url);
+
+// Upgrades from each version to the next
+const RULES_MIGRATIONS = {
+    // Version 1 matched colors by RGB distance implicitly; the tolerance is in RGB units
+    1: rules => {
+        if (rules.colors && !rules.colors.distanceModel) {
+            rules.colors.distanceModel = 'rgb';
+        }
+        return rules;
+    }
+};
+
+export class RulesValidator {
+    constructor(schema = null) {
+        this.schema = schema;
+    }
+
+    /**
+     * Load brandRules.schema.json: from disk in Node, over HTTP in the panel
+     */
+    static async loadSchema() {
+        if (SCHEMA_URL.protocol === 'file:') {
+            const { readFile } = await import('node:fs/promises');
+            return JSON.parse(await readFile(SCHEMA_URL, 'utf8'));
+        }
+        const response = await fetch(SCHEMA_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+    }
+
+    /**
+     * Create a validator with the published schema
+     */
+    static async create() {
+        return new RulesValidator(await RulesValidator.loadSchema());
+    }
+
+    /**
+     * Bring rules up to the current schema version
+     * Returns { rules, fromVersion, migrated }; the rules passed in are not changed
+     */
+    migrate(brandRules) {
+        let rules = JSON.parse(JSON.stringify(brandRules));
+        const fromVersion = rules.schemaVersion === undefined ? LEGACY_SCHEMA_VERSION : rules.schemaVersion;
+
+        // Unknown or newer versions are left for validate() to report
+        if (!Number.isInteger(fromVersion) || fromVersion >= CURRENT_SCHEMA_VERSION) {
+            return { rules, fromVersion, migrated: false };
+        }
+
+        for (let version = fromVersion; version < CURRENT_SCHEMA_VERSION; version++) {
+            rules = RULES_MIGRATIONS[version] ? RULES_MIGRATIONS[version](rules) : rules;
+        }
+        rules.schemaVersion = CURRENT_SCHEMA_VERSION;
+        return { rules, fromVersion, migrated: true };
+    }
+
+    /**
+     * Validate rules against the schema, then check the parts a schema cannot express
+     * Returns a list of { path, message }; an empty list means the rules are usable
+     */
+    validate(brandRules) {
+        const errors = [];
+
+        if (brandRules && brandRules.schemaVersion > CURRENT_SCHEMA_VERSION) {
+            errors.push({
+                path: 'schemaVersion',
+                message: `version ${brandRules.schemaVersion} is newer than this add-on supports (${CURRENT_SCHEMA_VERSION})`
+            });
+            return errors;
+        }
+
+        // Rules that were not checked against the schema are not known to be usable
+        if (!this.schema) {
+            errors.push({ path: '(root)', message: 'could not be checked: the rules schema is not loaded' });
+            return errors;
+        }
+        this.validateValue(brandRules, this.schema, '', errors);
+
+        // Cross-field checks need the basic structure to be right
+        if (errors.length === 0) {
+            try {
+                errors.push(...this.checkConsistency(brandRules));
+            } catch (error) {
+                console.error('Error checking brand rules:', error);
+                errors.push({ path: '(root)', message: `could not be checked (${error.message})` });
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Validate one value against a schema node (the JSON Schema subset brandRules.schema.json uses)
+     */
+    validateValue(value, schema, path, errors) {
+        if (schema.$ref) {
+            this.validateValue(value, this.resolveRef(schema.$ref), path, errors);
+        }
+
+        const fail = message => errors.push({ path: path || '(root)', message: schema.errorMessage || message });
+
+        if (schema.allOf) {
+            for (const part of schema.allOf) this.validateValue(value, part, path, errors);
+        }
+
+        if (schema.anyOf) {
+            const passes = schema.anyOf.some(option => {
+                const optionErrors = [];
+                this.validateValue(value, option, path, optionErrors);
+                return optionErrors.length === 0;
+            });
+            if (!passes) {
+                fail('does not match any of the allowed forms');
+                return;
+            }
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => this.isType(value, type))) {
+                fail(`must be ${types.map(type => this.describeType(type)).join(' or ')}, got ${this.describeValue(value)}`);
+                return;
+            }
+        }
+
+        if ('const' in schema && value !== schema.const) {
+            fail(`must be ${JSON.stringify(schema.const)}`);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${this.describeValue(value)}`);
+            return;
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                fail(`must match ${schema.pattern}, got "${value}"`);
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                fail(`must be at least ${schema.minimum}, got ${value}`);
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                fail(`must be greater than ${schema.exclusiveMinimum}, got ${value}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                fail(`must be at most ${schema.maximum}, got ${value}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail(`must have at least ${schema.minItems} item(s)`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.validateValue(item, schema.items, `${path}[${index}]`, errors));
+            }
+        }
+
+        if (this.isType(value, 'object')) {
+            const properties = schema.properties || {};
+
+            for (const key of schema.required || []) {
+                if (value[key] === undefined) {
+                    errors.push({ path: this.joinPath(path, key), message: 'is required' });
+                }
+            }
+
+            for (const [key, item] of Object.entries(value)) {
+                if (properties[key]) {
+                    this.validateValue(item, properties[key], this.joinPath(path, key), errors);
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    this.validateValue(item, schema.additionalProperties, this.joinPath(path, key), errors);
+                }
+            }
+        }
+    }
+
+    /**
+     * Check rules for problems that involve more than one field
+     */
+    checkConsistency(brandRules) {
+        const errors = [];
+        const error = (path, message) => errors.push({ path, message });
+        const { colors, fonts, logo } = brandRules;
+
+        const hexes = new Set();
+        colors.approved.forEach((color, index) => {
+            const hex = color.hex.toUpperCase();
+            if (hexes.has(hex)) {
+                error(`colors.approved[${index}].hex`, `${color.name}: ${color.hex} is already in the palette`);
+            }
+            hexes.add(hex);
+        });
+
+        const fontNames = new Set();
+        fonts.approved.forEach((font, index) => {
+            const name = font.name.trim().toLowerCase();
+            if (fontNames.has(name)) {
+                error(`fonts.approved[${index}].name`, `${font.name} is listed twice`);
+            }
+            fontNames.add(name);
+        });
+
+        if (!fontNames.has(fonts.default.name.trim().toLowerCase())) {
+            error('fonts.default.name', `default font ${fonts.default.name} is not an approved font`);
+        }
+        (fonts.substitutions || []).forEach((substitution, index) => {
+            if (!fontNames.has(substitution.to.trim().toLowerCase())) {
+                error(`fonts.substitutions[${index}].to`, `${substitution.to} is not an approved font`);
+            }
+        });
+
+        // Ranges and positions on the logo, its variants and formats
+        const logoRuleSets = [{ path: 'logo', rules: logo }];
+        (logo.variants || []).forEach((variant, index) => logoRuleSets.push({ path: `logo.variants[${index}]`, rules: variant }));
+        logoRuleSets.slice().forEach(({ path, rules }) => {
+            (rules.formats || []).forEach((format, index) => logoRuleSets.push({ path: `${path}.formats[${index}]`, rules: format }));
+        });
+
+        for (const { path, rules } of logoRuleSets) {
+            const ranges = [
+                ['aspectRatio', rules.aspectRatio],
+                ['relativeSize.width', rules.relativeSize && rules.relativeSize.width],
+                ['relativeSize.height', rules.relativeSize && rules.relativeSize.height]
+            ];
+            for (const [name, range] of ranges) {
+                if (range && range.min !== undefined && range.max !== undefined && range.min > range.max) {
+                    error(`${path}.${name}`, `min (${range.min}) is larger than max (${range.max})`);
+                }
+            }
+
+            const allowed = rules.allowedPositions || logo.allowedPositions;
+            if (rules.allowedPositions && rules.allowedPositions.length === 0) {
+                error(`${path}.allowedPositions`, 'must allow at least one position');
+            } else if (rules.preferredPosition && !allowed.includes(rules.preferredPosition)) {
+                error(`${path}.preferredPosition`, `${rules.preferredPosition} is not an allowed position`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Format an error for display
+     */
+    formatError(error) {
+        return `${error.path}: ${error.message}`;
+    }
+
+    /**
+     * Resolve a local reference such as '#/$defs/hexColor'
+     */
+    resolveRef(ref) {
+        return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], this.schema);
+    }
+
+    /**
+     * Check a value against a JSON Schema type name
+     */
+    isType(value, type) {
+        switch (type) {
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'null': return value === null;
+            default: return typeof value === type;
+        }
+    }
+
+    /**
+     * Name a schema type for an error message
+     */
+    describeType(type) {
+        return type === 'integer' ? 'a whole number' : type === 'array' ? 'a list' :
+            type === 'object' ? 'an object' : type === 'null' ? 'null' : `a ${type}`;
+    }
+
+    /**
+     * Show the offending value in an error message
+     */
+    describeValue(value) {
+        if (Array.isArray(value)) return 'a list';
+        if (value === null) return 'null';
+        if (typeof value === 'object') return 'an object';
+        if (typeof value === 'number' && !Number.isFinite(value)) return 'not a number';
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Append a property to a path
+     */
+    joinPath(path, key) {
+        return path ? `${path}.${key}` : key;
+    }
+}
@@ -0,0 +1,658 @@
+/**
+ * SVG Document Parser
+ * Reads an exported SVG file into the JSON document model of JsonDocumentAdapter, so
+ * SVG assets can be checked outside Express: groups become groups, shapes keep their
+ * fill and stroke (including gradients), text keeps its font, and images their link
+ */
+
+import { PaletteImporter } from './paletteImporter.js';
+
+// Properties children inherit from their parent elements
+const SVG_INHERITED_PROPERTIES = ['fill', 'stroke', 'color', 'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor'];
+
+// Element types that become layers; anything else (defs, metadata, ...) is skipped
+const SVG_GROUP_ELEMENTS = ['g', 'a', 'switch', 'svg'];
+const SVG_SHAPE_ELEMENTS = ['rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'path'];
+
+const SVG_NAMED_COLORS = {
+    black: '#000000', white: '#FFFFFF', red: '#FF0000', green: '#008000', blue: '#0000FF',
+    yellow: '#FFFF00', orange: '#FFA500', purple: '#800080', gray: '#808080', grey: '#808080',
+    silver: '#C0C0C0', maroon: '#800000', navy: '#000080', teal: '#008080', olive: '#808000',
+    lime: '#00FF00', aqua: '#00FFFF', cyan: '#00FFFF', fuchsia: '#FF00FF', magenta: '#FF00FF'
+};
+
+const SVG_FONT_WEIGHTS = { normal: 400, bold: 700 };
+
+// Default SVG font size and the average glyph width used to estimate text bounds
+const SVG_DEFAULT_FONT_SIZE = 16;
+const SVG_GLYPH_WIDTH = 0.6;
+
+// px per unit of the absolute lengths a font size can use; em, rem and % are resolved in resolveFontSize
+const SVG_LENGTH_UNITS = { px: 1, pt: 4 / 3, pc: 16, in: 96, cm: 96 / 2.54, mm: 96 / 25.4, q: 96 / 101.6 };
+
+// CSS font-size keywords in px
+const SVG_FONT_SIZE_KEYWORDS = {
+    'xx-small': 9, 'x-small': 10, small: 13, medium: 16, large: 18, 'x-large': 24, 'xx-large': 32
+};
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+export class SvgDocumentParser {
+    constructor() {
+        this.colorParser = new PaletteImporter();
+    }
+
+    /**
+     * Parse SVG text into a document model: { id, title, bounds, layers }
+     */
+    parse(svgText, { id = 'svg-document', title = null } = {}) {
+        const root = this.parseXml(svgText);
+        const svg = root.children.find(node => node.name === 'svg');
+        if (!svg) throw new Error('Not an SVG file: no <svg> element');
+
+        this.layerCount = 0;
+        this.gradients = this.collectGradients(svg);
+        this.cssRules = this.collectCssRules(svg);
+
+        const bounds = this.getCanvasBounds(svg);
+        // Layers are placed relative to the canvas, so a viewBox origin such as "-100 -100" moves to 0,0
+        const origin = this.getViewBox(svg);
+        const matrix = origin ? [1, 0, 0, 1, -origin[0], -origin[1]] : IDENTITY_MATRIX;
+        const layers = this.readChildren(svg, this.getStyle(svg, {}), matrix);
+        return {
+            id,
+            title: title || this.getTitle(svg),
+            bounds,
+            layers
+        };
+    }
+
+    /**
+     * Parse XML into { name, attributes, children, text } nodes
+     * Comments, processing instructions and doctypes are skipped; unclosed elements are an error
+     */
+    parseXml(text) {
+        const root = { name: '#root', attributes: {}, children: [], text: '' };
+        const stack = [root];
+        const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][^>]*>|<(\/?)([\w:.-]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>|([^<]+)/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const current = stack[stack.length - 1];
+            const [, cdata, closing, name, attributeText, selfClosing, content] = match;
+
+            if (cdata !== undefined) {
+                current.text += cdata;
+                current.children.push({ name: '#text', text: cdata });
+            } else if (content !== undefined) {
+                const decoded = this.decodeEntities(content);
+                current.text += decoded;
+                current.children.push({ name: '#text', text: decoded });
+            } else if (name && closing) {
+                const index = stack.map(node => node.name).lastIndexOf(name);
+                if (index > 0) stack.length = index;
+            } else if (name) {
+                const node = { name, attributes: this.parseAttributes(attributeText || ''), children: [], text: '' };
+                current.children.push(node);
+                if (!selfClosing) stack.push(node);
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error(`Malformed SVG: <${stack[stack.length - 1].name}> is not closed`);
+        }
+        return root;
+    }
+
+    /**
+     * Parse the attributes of a start tag
+     */
+    parseAttributes(text) {
+        const attributes = {};
+        const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'))?/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            attributes[match[1]] = this.decodeEntities(match[2] ?? match[3] ?? '');
+        }
+        return attributes;
+    }
+
+    /**
+     * Decode the XML entities and character references in text
+     */
+    decodeEntities(text) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+        return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return String.fromCodePoint(value);
+            }
+            return entities[code] ?? entity;
+        });
+    }
+
+    /**
+     * Get the canvas from the viewBox, else the width and height attributes
+     */
+    getCanvasBounds(svg) {
+        const viewBox = this.getViewBox(svg);
+        if (viewBox) return { x: 0, y: 0, width: viewBox[2], height: viewBox[3] };
+        const width = parseFloat(svg.attributes.width);
+        const height = parseFloat(svg.attributes.height);
+        return width > 0 && height > 0 ? { x: 0, y: 0, width, height } : null;
+    }
+
+    /**
+     * Get the viewBox as [x, y, width, height], or null if it is missing or invalid
+     */
+    getViewBox(svg) {
+        const viewBox = (svg.attributes.viewBox || '').trim().split(/[\s,]+/).map(Number);
+        return viewBox.length === 4 && viewBox.every(Number.isFinite) ? viewBox : null;
+    }
+
+    /**
+     * Get the document title from <title>
+     */
+    getTitle(node) {
+        const title = node.children.find(child => child.name === 'title');
+        return title ? title.text.trim() || null : null;
+    }
+
+    /**
+     * Find the gradients anywhere in the file by id, with their stop colors
+     * Gradients that reference another gradient (href) use its stops
+     */
+    collectGradients(svg) {
+        const gradients = new Map();
+        const visit = node => {
+            if (node.name === 'linearGradient' || node.name === 'radialGradient') {
+                const stops = node.children
+                    .filter(child => child.name === 'stop')
+                    .map(stop => {
+                        const style = { ...stop.attributes, ...this.parseStyleAttribute(stop.attributes.style) };
+                        return {
+                            offset: parseFloat(style.offset) || 0,
+                            color: this.parseColor(style['stop-color'] || 'black')
+                        };
+                    })
+                    .filter(stop => stop.color);
+                const href = node.attributes.href || node.attributes['xlink:href'];
+                gradients.set(node.attributes.id, { stops, href: href ? href.replace(/^#/, '') : null });
+            }
+            (node.children || []).forEach(visit);
+        };
+        visit(svg);
+
+        for (const gradient of gradients.values()) {
+            if (gradient.stops.length === 0 && gradients.has(gradient.href)) {
+                gradient.stops = gradients.get(gradient.href).stops;
+            }
+        }
+        return gradients;
+    }
+
+    /**
+     * Collect the declarations of <style> rules with simple selectors (.class, #id, element)
+     * as exported by design tools
+     */
+    collectCssRules(svg) {
+        const rules = [];
+        const visit = node => {
+            if (node.name === 'style') {
+                const css = node.text.replace(/\/\*[\s\S]*?\*\//g, '');
+                const pattern = /([^{}]+)\{([^}]*)\}/g;
+                let match;
+                while ((match = pattern.exec(css)) !== null) {
+                    const declarations = this.parseStyleAttribute(match[2]);
+                    for (const selector of match[1].split(',').map(s => s.trim()).filter(Boolean)) {
+                        if (/^[.#]?[\w-]+$/.test(selector)) rules.push({ selector, declarations });
+                    }
+                }
+            }
+            (node.children || []).forEach(visit);
+        };
+        visit(svg);
+        return rules;
+    }
+
+    /**
+     * Parse a style attribute into properties
+     */
+    parseStyleAttribute(text) {
+        const properties = {};
+        for (const declaration of (text || '').split(';')) {
+            const colon = declaration.indexOf(':');
+            if (colon < 0) continue;
+            properties[declaration.slice(0, colon).trim()] = declaration.slice(colon + 1).replace(/!important/, '').trim();
+        }
+        return properties;
+    }
+
+    /**
+     * Resolve an element's style: inherited properties, then presentation attributes,
+     * then <style> rules, then its style attribute
+     */
+    getStyle(node, inherited) {
+        const style = {};
+        for (const property of SVG_INHERITED_PROPERTIES) {
+            if (inherited[property] !== undefined) style[property] = inherited[property];
+        }
+        for (const property of [...SVG_INHERITED_PROPERTIES, 'display', 'visibility']) {
+            if (node.attributes[property] !== undefined) style[property] = node.attributes[property];
+        }
+
+        const classes = (node.attributes.class || '').split(/\s+/).filter(Boolean);
+        for (const rule of this.cssRules) {
+            const applies = rule.selector === node.name ||
+                (rule.selector[0] === '.' && classes.includes(rule.selector.slice(1))) ||
+                (rule.selector[0] === '#' && rule.selector.slice(1) === node.attributes.id);
+            if (applies) Object.assign(style, rule.declarations);
+        }
+        Object.assign(style, this.parseStyleAttribute(node.attributes.style));
+
+        for (const property of SVG_INHERITED_PROPERTIES) {
+            if (style[property] === 'inherit') style[property] = inherited[property];
+        }
+
+        // Relative sizes and weights are resolved here, against the parent's resolved values
+        const parentSize = this.parseLength(inherited['font-size']) || SVG_DEFAULT_FONT_SIZE;
+        if (style['font-size'] !== undefined) style['font-size'] = this.resolveFontSize(style['font-size'], parentSize);
+        if (style['font-weight'] === 'bolder' || style['font-weight'] === 'lighter') {
+            style['font-weight'] = this.resolveRelativeWeight(style['font-weight'], this.parseFontWeight(inherited['font-weight']));
+        }
+        return style;
+    }
+
+    /**
+     * Read the child elements of a node into layers
+     */
+    readChildren(node, style, matrix) {
+        return node.children
+            .filter(child => child.name !== '#text')
+            .map(child => this.readElement(child, style, matrix))
+            .filter(Boolean);
+    }
+
+    /**
+     * Read one element into a layer, or null if it is not drawn
+     */
+    readElement(node, inherited, parentMatrix) {
+        const isGroup = SVG_GROUP_ELEMENTS.includes(node.name);
+        const isShape = SVG_SHAPE_ELEMENTS.includes(node.name);
+        if (!isGroup && !isShape && node.name !== 'text' && node.name !== 'image') return null;
+
+        const style = this.getStyle(node, inherited);
+        if (style.display === 'none' || style.visibility === 'hidden') return null;
+
+        const matrix = this.multiply(parentMatrix, this.parseTransform(node.attributes.transform));
+        const layer = {
+            id: node.attributes.id || `${node.name}-${++this.layerCount}`,
+            name: this.getLayerName(node)
+        };
+
+        if (isGroup) {
+            // Nested <svg> elements are positioned by their x and y
+            const groupMatrix = node.name === 'svg'
+                ? this.multiply(matrix, [1, 0, 0, 1, parseFloat(node.attributes.x) || 0, parseFloat(node.attributes.y) || 0])
+                : matrix;
+            layer.type = 'group';
+            layer.children = this.readChildren(node, style, groupMatrix);
+            layer.bounds = this.unionBounds(layer.children.map(child => child.bounds));
+            return layer;
+        }
+
+        if (node.name === 'text') return this.readText(node, layer, style, matrix);
+
+        if (node.name === 'image') {
+            layer.type = 'image';
+            layer.imageUrl = node.attributes.href || node.attributes['xlink:href'] || null;
+            layer.bounds = this.transformBounds(matrix, this.getShapeBounds(node));
+            return layer;
+        }
+
+        layer.type = node.name === 'rect' ? 'rectangle' : node.name === 'circle' || node.name === 'ellipse' ? 'ellipse' : 'path';
+        layer.bounds = this.transformBounds(matrix, this.getShapeBounds(node));
+
+        // Unfilled lines only have a stroke
+        const fill = node.name === 'line' ? null : this.parsePaint(style.fill ?? 'black', style);
+        const stroke = this.parsePaint(style.stroke ?? 'none', style);
+        if (fill) layer.fill = fill;
+        if (stroke) layer.stroke = stroke;
+        return layer;
+    }
+
+    /**
+     * Read a text element: its font and color, with a styled range per <tspan> when the colors differ
+     */
+    readText(node, layer, style, matrix) {
+        const chunks = [];
+        const collect = (element, elementStyle) => {
+            for (const child of element.children) {
+                if (child.name === '#text') {
+                    if (child.text.trim()) chunks.push({ text: child.text.replace(/\s+/g, ' '), style: elementStyle });
+                } else if (child.name === 'tspan' || child.name === 'textPath' || child.name === 'a') {
+                    collect(child, this.getStyle(child, elementStyle));
+                }
+            }
+        };
+        collect(node, style);
+
+        const text = chunks.map(chunk => chunk.text).join('').trim();
+        const fontSize = this.parseLength(style['font-size']) || SVG_DEFAULT_FONT_SIZE;
+        const textColor = this.parseColor(this.resolveCurrentColor(style.fill ?? 'black', style));
+
+        layer.type = 'text';
+        layer.text = text;
+        // Unnamed text is named by its content, as in design tools
+        if (layer.name === node.name && text) layer.name = text.length > 40 ? `${text.slice(0, 39)}…` : text;
+        layer.fontFamily = this.parseFontFamily(style['font-family']);
+        layer.fontWeight = this.parseFontWeight(style['font-weight']);
+        layer.fontStyle = style['font-style'] === 'italic' || style['font-style'] === 'oblique' ? 'italic' : 'normal';
+        layer.fontSize = Math.round(fontSize * this.getScale(matrix) * 100) / 100;
+        if (textColor) layer.textColor = textColor;
+
+        const colors = chunks.map(chunk => this.parseColor(this.resolveCurrentColor(chunk.style.fill ?? 'black', chunk.style)));
+        if (new Set(colors.map(color => JSON.stringify(color))).size > 1) {
+            layer.characterStyleRanges = chunks.map((chunk, index) => ({ length: chunk.text.length, color: colors[index] }));
+        }
+
+        // Estimate the text box from the anchor point, font size and character count
+        const firstTspan = node.children.find(child => child.name === 'tspan') || { attributes: {} };
+        const x = parseFloat(node.attributes.x ?? firstTspan.attributes.x) || 0;
+        const y = parseFloat(node.attributes.y ?? firstTspan.attributes.y) || 0;
+        const width = text.length * fontSize * SVG_GLYPH_WIDTH;
+        const anchorOffset = { middle: width / 2, end: width }[style['text-anchor']] || 0;
+        layer.bounds = this.transformBounds(matrix, { x: x - anchorOffset, y: y - fontSize * 0.8, width, height: fontSize });
+        return layer;
+    }
+
+    /**
+     * Get a layer name from the names design tools export, else the element type
+     */
+    getLayerName(node) {
+        return node.attributes['data-name'] ||
+            node.attributes['inkscape:label'] ||
+            node.attributes['aria-label'] ||
+            this.getTitle(node) ||
+            node.attributes.id ||
+            node.name;
+    }
+
+    /**
+     * Parse a fill or stroke into { color } or { gradient: { stops } }, or null for none
+     */
+    parsePaint(value, style) {
+        const paint = this.resolveCurrentColor(String(value).trim(), style);
+        const reference = /^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/.exec(paint);
+        if (reference) {
+            const gradient = this.gradients.get(reference[1]);
+            return gradient && gradient.stops.length > 0
+                ? { gradient: { stops: gradient.stops.map(stop => ({ ...stop, color: { ...stop.color } })) } }
+                : null;
+        }
+        const color = this.parseColor(paint);
+        return color ? { color } : null;
+    }
+
+    /**
+     * Replace currentColor with the inherited `color` property
+     */
+    resolveCurrentColor(value, style) {
+        return value === 'currentColor' ? (style.color || 'black') : value;
+    }
+
+    /**
+     * Parse a color into 0-255 RGB, or null for none, transparent and unknown values
+     */
+    parseColor(value) {
+        const text = String(value || '').trim().toLowerCase();
+        if (!text || text === 'none' || text === 'transparent') return null;
+
+        const color = this.colorParser.parseCssColor(SVG_NAMED_COLORS[text] || text);
+        return color ? { r: Math.round(color.r), g: Math.round(color.g), b: Math.round(color.b) } : null;
+    }
+
+    /**
+     * Get the first family of a font-family list
+     */
+    parseFontFamily(value) {
+        if (!value) return null;
+        return value.split(',')[0].trim().replace(/^['"]|['"]$/g, '') || null;
+    }
+
+    /**
+     * Parse a font weight into 100-900
+     */
+    parseFontWeight(value) {
+        if (!value) return 400;
+        return SVG_FONT_WEIGHTS[value] || parseInt(value, 10) || 400;
+    }
+
+    /**
+     * Parse an absolute length (px, pt, pc, in, cm, mm, Q or unitless) in px; anything else is 0
+     */
+    parseLength(value) {
+        if (value === undefined || value === null) return 0;
+        const match = /^(-?[\d.]+(?:e-?\d+)?)([a-z]*)$/i.exec(String(value).trim());
+        if (!match) return 0;
+        const number = parseFloat(match[1]);
+        const unit = SVG_LENGTH_UNITS[match[2].toLowerCase() || 'px'];
+        return Number.isFinite(number) && unit ? number * unit : 0;
+    }
+
+    /**
+     * Resolve a font size in px: em, ex and % are relative to the parent's size, rem to the default
+     * Sizes that cannot be read keep the parent's size
+     */
+    resolveFontSize(value, parentSize) {
+        const text = String(value).trim().toLowerCase();
+        if (SVG_FONT_SIZE_KEYWORDS[text]) return SVG_FONT_SIZE_KEYWORDS[text];
+        if (text === 'larger') return parentSize * 1.2;
+        if (text === 'smaller') return parentSize / 1.2;
+
+        const relative = /^(-?[\d.]+)(em|ex|rem|%)$/.exec(text);
+        if (relative) {
+            const number = parseFloat(relative[1]);
+            const base = { em: parentSize, ex: parentSize / 2, rem: SVG_DEFAULT_FONT_SIZE, '%': parentSize / 100 }[relative[2]];
+            return number > 0 ? number * base : parentSize;
+        }
+        return this.parseLength(text) || parentSize;
+    }
+
+    /**
+     * Resolve bolder or lighter against the parent's weight, as CSS does
+     */
+    resolveRelativeWeight(value, parentWeight) {
+        if (value === 'bolder') return parentWeight < 350 ? 400 : parentWeight < 550 ? 700 : 900;
+        return parentWeight < 550 ? 100 : parentWeight < 750 ? 400 : 700;
+    }
+
+    /**
+     * Get the untransformed bounds of a shape or image element
+     */
+    getShapeBounds(node) {
+        const a = name => parseFloat(node.attributes[name]) || 0;
+        switch (node.name) {
+            case 'rect':
+            case 'image':
+                return { x: a('x'), y: a('y'), width: a('width'), height: a('height') };
+            case 'circle':
+                return { x: a('cx') - a('r'), y: a('cy') - a('r'), width: a('r') * 2, height: a('r') * 2 };
+            case 'ellipse':
+                return { x: a('cx') - a('rx'), y: a('cy') - a('ry'), width: a('rx') * 2, height: a('ry') * 2 };
+            case 'line':
+                return this.pointsBounds([[a('x1'), a('y1')], [a('x2'), a('y2')]]);
+            case 'polyline':
+            case 'polygon': {
+                const numbers = (node.attributes.points || '').split(/[\s,]+/).filter(Boolean).map(Number);
+                const points = [];
+                for (let i = 0; i + 1 < numbers.length; i += 2) points.push([numbers[i], numbers[i + 1]]);
+                return this.pointsBounds(points);
+            }
+            case 'path':
+                return this.pointsBounds(this.getPathPoints(node.attributes.d || ''));
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Get the end and control points of a path, in absolute coordinates
+     * Curves lie within their control points, so their bounds contain the path
+     */
+    getPathPoints(d) {
+        const points = [];
+        const tokens = d.match(/[a-df-z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/gi) || [];
+        const arity = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+        let x = 0;
+        let y = 0;
+        let startX = 0;
+        let startY = 0;
+        let command = null;
+        let index = 0;
+
+        while (index < tokens.length) {
+            if (/[a-z]/i.test(tokens[index])) {
+                command = tokens[index++];
+                if (command.toLowerCase() === 'z') {
+                    x = startX;
+                    y = startY;
+                    continue;
+                }
+            }
+            if (!command) break;
+
+            const lower = command.toLowerCase();
+            const relative = command === lower;
+            const args = tokens.slice(index, index + arity[lower]).map(Number);
+            if (args.length < arity[lower] || args.some(Number.isNaN)) break;
+            index += arity[lower];
+
+            if (lower === 'h') {
+                x = relative ? x + args[0] : args[0];
+            } else if (lower === 'v') {
+                y = relative ? y + args[0] : args[0];
+            } else if (lower === 'a') {
+                x = relative ? x + args[5] : args[5];
+                y = relative ? y + args[6] : args[6];
+            } else {
+                for (let i = 0; i < args.length; i += 2) {
+                    const px = relative ? x + args[i] : args[i];
+                    const py = relative ? y + args[i + 1] : args[i + 1];
+                    if (i + 2 < args.length) {
+                        points.push([px, py]);
+                    } else {
+                        x = px;
+                        y = py;
+                    }
+                }
+            }
+            points.push([x, y]);
+
+            if (lower === 'm') {
+                startX = x;
+                startY = y;
+                // Further pairs after a moveto are linetos
+                command = relative ? 'l' : 'L';
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Get the bounds of a list of [x, y] points
+     */
+    pointsBounds(points) {
+        if (points.length === 0) return null;
+        const xs = points.map(p => p[0]);
+        const ys = points.map(p => p[1]);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+
+    /**
+     * Get the bounds that contain all the given bounds
+     */
+    unionBounds(list) {
+        const corners = list.filter(Boolean).flatMap(b => [[b.x, b.y], [b.x + b.width, b.y + b.height]]);
+        return this.pointsBounds(corners);
+    }
+
+    /**
+     * Parse a transform attribute into an [a, b, c, d, e, f] matrix
+     */
+    parseTransform(value) {
+        let matrix = IDENTITY_MATRIX;
+        const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+
+        while ((match = pattern.exec(value || '')) !== null) {
+            const n = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+            const radians = degrees => degrees * Math.PI / 180;
+            let next;
+            switch (match[1]) {
+                case 'matrix':
+                    next = n.length === 6 ? n : IDENTITY_MATRIX;
+                    break;
+                case 'translate':
+                    next = [1, 0, 0, 1, n[0] || 0, n[1] || 0];
+                    break;
+                case 'scale':
+                    next = [n[0] ?? 1, 0, 0, n[1] ?? n[0] ?? 1, 0, 0];
+                    break;
+                case 'rotate': {
+                    const cos = Math.cos(radians(n[0] || 0));
+                    const sin = Math.sin(radians(n[0] || 0));
+                    const [cx, cy] = [n[1] || 0, n[2] || 0];
+                    next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+                    break;
+                }
+                case 'skewX':
+                    next = [1, 0, Math.tan(radians(n[0] || 0)), 1, 0, 0];
+                    break;
+                default:
+                    next = [1, Math.tan(radians(n[0] || 0)), 0, 1, 0, 0];
+            }
+            matrix = this.multiply(matrix, next);
+        }
+        return matrix;
+    }
+
+    /**
+     * Multiply two transform matrices (m applied after n)
+     */
+    multiply(m, n) {
+        return [
+            m[0] * n[0] + m[2] * n[1],
+            m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3],
+            m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4],
+            m[1] * n[4] + m[3] * n[5] + m[5]
+        ];
+    }
+
+    /**
+     * Transform bounds, returning the box around the transformed corners
+     */
+    transformBounds(m, bounds) {
+        if (!bounds) return null;
+        const corners = [
+            [bounds.x, bounds.y],
+            [bounds.x + bounds.width, bounds.y],
+            [bounds.x, bounds.y + bounds.height],
+            [bounds.x + bounds.width, bounds.y + bounds.height]
+        ].map(([x, y]) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]]);
+        const box = this.pointsBounds(corners);
+        const round = value => Math.round(value * 100) / 100;
+        return { x: round(box.x), y: round(box.y), width: round(box.width), height: round(box.height) };
+    }
+
+    /**
+     * Get the average scale of a matrix, used for font sizes
+     */
+    getScale(m) {
+        return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2])) || 1;
+    }
+}
@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const CLI_PATH = fileURLToPath(new URL('../cli.js', import.meta.url));
+const RULES_PATH = fileURLToPath(new URL('../brandRules.json', import.meta.url));
+
+// Brand colors, an approved font and a logo of the right size in the top-left corner
+const COMPLIANT_SVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1000 1000">
+  <rect id="background" width="1000" height="1000" fill="#FFFFFF"/>
+  <image id="logo" x="40" y="40" width="200" height="60" href="logo.png"/>
+  <text id="body" x="100" y="600" font-family="Roboto" font-size="16" fill="#000000">Brand copy</text>
+</svg>`;
+
+const OFF_BRAND_SVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1000 1000">
+  <rect id="box" width="1000" height="1000" fill="#C81EC8"/>
+  <text id="body" x="100" y="600" font-family="Comic Sans MS" font-size="16" fill="#F0F0F0">Off brand</text>
+</svg>`;
+
+let directory;
+
+/**
+ * Run the CLI and resolve with its exit code and output
+ */
+function runCli(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI_PATH, ...args], { cwd: directory }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'brandguard-cli-'));
+    await mkdir(join(directory, 'passing'));
+    await mkdir(join(directory, 'failing', 'nested'), { recursive: true });
+    await writeFile(join(directory, 'passing', 'banner.svg'), COMPLIANT_SVG);
+    await writeFile(join(directory, 'failing', 'banner.svg'), COMPLIANT_SVG);
+    await writeFile(join(directory, 'failing', 'nested', 'flyer.svg'), OFF_BRAND_SVG);
+    await writeFile(join(directory, 'broken.svg'), '<svg><g>');
+});
+
+after(async () => {
+    await rm(directory, { recursive: true, force: true });
+});
+
+test('exits with 0 when every document passes', async () => {
+    const { code, stdout } = await runCli(['--rules', RULES_PATH, 'passing']);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /passing\/banner\.svg .* PASS/);
+});
+
+test('exits with 1 when a document in a nested directory scores below the threshold', async () => {
+    const { code, stdout } = await runCli(['--rules', RULES_PATH, 'failing']);
+    assert.equal(code, 1);
+    assert.match(stdout, /failing\/nested\/flyer\.svg .* FAIL/);
+    assert.match(stdout, /2 document\(s\): 1 passed, 1 below 70/);
+});
+
+test('the threshold decides what passes', async () => {
+    const { code } = await runCli(['--rules', RULES_PATH, '--threshold', '0', 'failing']);
+    assert.equal(code, 0);
+});
+
+test('exits with 1 when a file cannot be read', async () => {
+    const { code, stdout } = await runCli(['--rules', RULES_PATH, 'broken.svg']);
+    assert.equal(code, 1);
+    assert.match(stdout, /ERROR: Malformed SVG/);
+});
+
+test('exits with 2 for invalid arguments or rules', async () => {
+    assert.equal((await runCli(['--rules', RULES_PATH])).code, 2);
+    assert.equal((await runCli(['--rules', RULES_PATH, '--threshold', '120', 'passing'])).code, 2);
+    assert.equal((await runCli(['--rules', 'missing.json', 'passing'])).code, 2);
+
+    await writeFile(join(directory, 'invalid-rules.json'), JSON.stringify({ schemaVersion: 2, brandName: '' }));
+    const { code, stderr } = await runCli(['--rules', 'invalid-rules.json', 'passing']);
+    assert.equal(code, 2);
+    assert.match(stderr, /is not valid/);
+});
+
+test('writes JSON and JUnit reports', async () => {
+    await runCli(['--rules', RULES_PATH, '--json', 'report.json', '--junit', 'report.xml', 'failing']);
+
+    const report = JSON.parse(await readFile(join(directory, 'report.json'), 'utf8'));
+    assert.equal(report.summary.documents, 2);
+    assert.deepEqual(report.documents.map(document => document.passed), [true, false]);
+
+    const junit = await readFile(join(directory, 'report.xml'), 'utf8');
+    assert.match(junit, /<testsuites name="brandguard" tests="10" failures="\d+" errors="0">/);
+    assert.match(junit, /<testcase classname="failing\/nested\/flyer\.svg" name="score &gt;= 70"><failure/);
+});
+
+test('JSON that is not a document model is skipped, and the rules and reports are not inputs', async () => {
+    await mkdir(join(directory, 'exports'));
+    await writeFile(join(directory, 'exports', 'banner.svg'), COMPLIANT_SVG);
+    await writeFile(join(directory, 'exports', 'settings.json'), JSON.stringify({ name: 'not a document' }));
+    await writeFile(join(directory, 'exports', 'rules.json'), await readFile(RULES_PATH, 'utf8'));
+
+    const args = ['--rules', 'exports/rules.json', '--json', 'exports/brandguard.json', '--junit', 'exports/brandguard.xml', 'exports'];
+    const first = await runCli(args);
+    assert.equal(first.code, 0, first.stdout);
+    assert.match(first.stderr, /Skipping exports\/settings\.json: not a document model/);
+    assert.doesNotMatch(first.stdout + first.stderr, /rules\.json/);
+    assert.match(first.stdout, /1 document\(s\): 1 passed/);
+
+    // A report from an earlier run, written under another name, is recognized and skipped
+    await writeFile(join(directory, 'exports', 'previous.json'), await readFile(join(directory, 'exports', 'brandguard.json'), 'utf8'));
+    const second = await runCli(args);
+    assert.equal(second.code, 0, second.stdout);
+    assert.match(second.stderr, /Skipping exports\/previous\.json: a BrandGuard batch report/);
+    assert.doesNotMatch(second.stdout, /brandguard\.json|previous\.json/);
+    assert.match(second.stdout, /1 document\(s\): 1 passed/);
+
+    const empty = await runCli(['--rules', RULES_PATH, 'exports/settings.json']);
+    assert.equal(empty.code, 2);
+    assert.match(empty.stderr, /No document models found/);
+});
@@ -0,0 +1,217 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { ComplianceChecker, DocumentAdapter, JsonDocumentAdapter } from '../engine.js';
+
+const brandRules = JSON.parse(readFileSync(new URL('../brandRules.json', import.meta.url), 'utf8'));
+
+/**
+ * A page with an off-brand fill, an unapproved font and a logo that is too small
+ */
+function createModel() {
+    return {
+        id: 'test-document',
+        bounds: { x: 0, y: 0, width: 1000, height: 1000 },
+        pages: [{ id: 'page-1', name: 'Cover', children: [
+            { id: 'box', name: 'Box', type: 'rectangle', fill: { color: { r: 200, g: 30, b: 200 } },
+                bounds: { x: 500, y: 500, width: 100, height: 100 } },
+            { id: 'title', name: 'Body', type: 'text', fontFamily: 'Comic Sans MS', fontSize: 16,
+                textColor: { r: 0, g: 0, b: 0 }, bounds: { x: 500, y: 700, width: 300, height: 20 } },
+            { id: 'logo', name: 'Logo', type: 'image', bounds: { x: 40, y: 40, width: 20, height: 10 } }
+        ] }]
+    };
+}
+
+test('checkAll reports violations in a JSON document model', async () => {
+    const checker = new ComplianceChecker(brandRules, new JsonDocumentAdapter(createModel()));
+    const results = await checker.checkAll();
+
+    assert.deepEqual(results.colors.violations.map(v => v.layerId), ['box']);
+    assert.deepEqual(results.fonts.violations.map(v => v.currentFont), ['Comic Sans MS']);
+    assert.ok(results.logo.issues.some(issue => issue.type === 'too-small'));
+    assert.ok(checker.calculateScore(results).score < 100);
+});
+
+test('fixAll changes the model in place and undo restores it', async () => {
+    const model = createModel();
+    const original = JSON.parse(JSON.stringify(model));
+    const checker = new ComplianceChecker(brandRules, new JsonDocumentAdapter(model));
+
+    const fixed = await checker.fixAll();
+    assert.ok(fixed.totalFixed >= 3);
+    assert.notDeepEqual(model, original);
+
+    const after = await checker.checkAll();
+    assert.equal(after.colors.violationCount, 0);
+    assert.equal(after.fonts.violationCount, 0);
+
+    const undo = await checker.undoLastFix();
+    assert.equal(undo.restored, fixed.totalFixed);
+    assert.deepEqual(model, original);
+});
+
+test('a dry run plans changes without applying them', async () => {
+    const model = createModel();
+    const original = JSON.parse(JSON.stringify(model));
+    const checker = new ComplianceChecker(brandRules, new JsonDocumentAdapter(model));
+
+    const plan = await checker.fixAll({ dryRun: true });
+    assert.equal(plan.totalFixed, 0);
+    assert.ok(plan.changes.length >= 3);
+    assert.deepEqual(model, original);
+});
+
+test('checks without a demo fallback report adapter errors', async () => {
+    class BrokenAdapter extends DocumentAdapter {
+        async getDocument() {
+            throw new Error('document unavailable');
+        }
+    }
+    const checker = new ComplianceChecker(brandRules, new BrokenAdapter());
+    await assert.rejects(checker.checkAll(), /document unavailable/);
+});
+
+test('ignored violations are not fixed or planned', async () => {
+    const model = createModel();
+    const checker = new ComplianceChecker(brandRules, new JsonDocumentAdapter(model));
+    const results = await checker.checkAll();
+    checker.ignoreViolation('colors', results.colors.violations[0]);
+    for (const issue of results.logo.issues) checker.ignoreViolation('logo', issue);
+
+    assert.equal((await checker.checkAll()).colors.violationCount, 0);
+
+    const plan = await checker.fixAll({ dryRun: true });
+    assert.deepEqual(plan.changes.map(change => change.category), ['fonts']);
+    assert.equal((await checker.fixCategory('colors', { dryRun: true })).changes.length, 0);
+
+    await checker.fixAll();
+    const [box, , logo] = model.pages[0].children;
+    assert.deepEqual(box.fill.color, { r: 200, g: 30, b: 200 });
+    assert.deepEqual(logo.bounds, { x: 40, y: 40, width: 20, height: 10 });
+});
+
+test('an ignored logo issue keeps its fix out of the logo change', async () => {
+    const model = createModel();
+    model.pages[0].children[2].bounds = { x: 500, y: 40, width: 20, height: 10 };
+    const checker = new ComplianceChecker(brandRules, new JsonDocumentAdapter(model));
+    const results = await checker.checkAll();
+    const position = results.logo.issues.find(issue => issue.type === 'position');
+    assert.ok(position);
+    checker.ignoreViolation('logo', position);
+
+    const { changes } = await checker.fixCategory('logo', { dryRun: true });
+    assert.equal(changes.length, 1);
+    assert.match(changes[0].description, /scaled up/);
+    assert.doesNotMatch(changes[0].description, /moved/);
+});
+
+test('undo restores hex string colors unchanged', async () => {
+    const model = createModel();
+    model.pages[0].children[0].fill = { color: '#C81EC8' };
+    model.pages[0].children[1].textColor = '#000000';
+    const original = JSON.parse(JSON.stringify(model));
+    const checker = new ComplianceChecker(brandRules, new JsonDocumentAdapter(model));
+
+    const before = await checker.checkAll();
+    assert.deepEqual(before.colors.violations.map(v => v.layerId), ['box']);
+
+    await checker.fixAll();
+    assert.equal(typeof model.pages[0].children[0].fill.color, 'object');
+
+    await checker.undoLastFix();
+    assert.deepEqual(model, original);
+
+    const after = await checker.checkAll();
+    assert.deepEqual(after.colors.violations.map(v => v.layerId), ['box']);
+});
+
+test('demo-mode logo dry runs report the planned changes', async () => {
+    class DemoAdapter extends DocumentAdapter {
+        constructor() {
+            super();
+            this.demoFallback = true;
+        }
+
+        async getDocument() {
+            throw new Error('document unavailable');
+        }
+    }
+    const checker = new ComplianceChecker(brandRules, new DemoAdapter());
+    const error = console.error;
+    console.error = () => {};
+    try {
+        const plan = await checker.logoChecker.fixLogoViolations({ dryRun: true });
+        assert.equal(plan.fixed, 0);
+        assert.ok(plan.changes.length > 0);
+        assert.equal(plan.message, `${plan.changes.length} logo change(s) planned (demo mode)`);
+    } finally {
+        console.error = error;
+    }
+});
+
+test('logo positions are measured on an artboard that is not at the origin', async () => {
+    const createArtboardModel = logoBounds => ({
+        id: 'artboards',
+        bounds: { x: 0, y: 0, width: 3000, height: 1000 },
+        pages: [{ id: 'page-1', name: 'Spread', children: [
+            { id: 'board', name: 'Board', type: 'artboard', bounds: { x: 2000, y: 0, width: 1000, height: 1000 }, children: [
+                { id: 'logo', name: 'Logo', type: 'image', bounds: logoBounds }
+            ] }
+        ] }]
+    });
+
+    const placed = new ComplianceChecker(brandRules, new JsonDocumentAdapter(createArtboardModel(
+        { x: 2040, y: 40, width: 200, height: 80 }
+    )));
+    assert.deepEqual((await placed.checkAll()).logo.issues, []);
+
+    const model = createArtboardModel({ x: 2400, y: 460, width: 200, height: 80 });
+    const misplaced = new ComplianceChecker(brandRules, new JsonDocumentAdapter(model));
+    assert.deepEqual((await misplaced.checkAll()).logo.issues.map(issue => issue.type), ['position']);
+    await misplaced.fixCategory('logo');
+    assert.deepEqual(model.pages[0].children[0].children[0].bounds, { x: 2020, y: 20, width: 200, height: 80 });
+
+    const edgeRules = { ...brandRules, logo: { ...brandRules.logo, minDistanceFromEdge: 0, clearSpace: undefined } };
+    const atEdge = new ComplianceChecker(edgeRules, new JsonDocumentAdapter(createArtboardModel(
+        { x: 2000, y: 0, width: 200, height: 80 }
+    )));
+    assert.deepEqual((await atEdge.checkAll()).logo.issues, []);
+});
+
+test('a light, unapproved weight is one font violation with one fix', async () => {
+    const model = {
+        id: 'light-caption',
+        bounds: { x: 0, y: 0, width: 1000, height: 1000 },
+        layers: [
+            { id: 'caption', name: 'Caption', type: 'text', fontFamily: 'Roboto', fontWeight: 300, fontSize: 12,
+                textColor: { r: 0, g: 0, b: 0 }, bounds: { x: 500, y: 700, width: 300, height: 20 } }
+        ]
+    };
+    const checker = new ComplianceChecker(brandRules, new JsonDocumentAdapter(model));
+    const results = await checker.checkAll();
+    assert.deepEqual(results.fonts.violations.map(v => v.violationType), ['weight-not-allowed']);
+    assert.match(results.fonts.violations[0].message, /14px and above/);
+
+    const plan = await checker.fixCategory('fonts', { dryRun: true });
+    assert.deepEqual(plan.changes.map(change => [change.property, change.newValue]), [['fontWeight', 400]]);
+});
+
+test('named bold weights make text large for contrast', async () => {
+    const createGrayText = fontWeight => ({
+        id: 'gray-text',
+        bounds: { x: 0, y: 0, width: 1000, height: 1000 },
+        layers: [
+            { id: 'label', name: 'Label', type: 'text', fontFamily: 'Roboto', fontWeight, fontSize: 20,
+                textColor: '#808080', bounds: { x: 500, y: 700, width: 300, height: 20 } }
+        ]
+    });
+    const contrastOf = async fontWeight => {
+        const checker = new ComplianceChecker(brandRules, new JsonDocumentAdapter(createGrayText(fontWeight)));
+        return (await checker.checkAll()).contrast.violations.length;
+    };
+
+    for (const weight of ['Bold', 'bolder', '700', 'Extra Bold']) {
+        assert.equal(await contrastOf(weight), 0, weight);
+    }
+    assert.equal(await contrastOf('Regular'), 1);
+});
@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { PaletteImporter } from '../paletteImporter.js';
+
+/**
+ * ASE string: UTF-16 code unit count including the terminator, then UTF-16BE text
+ */
+function aseString(text) {
+    const bytes = [0, text.length + 1];
+    for (const char of `${text}\0`) bytes.push(0, char.charCodeAt(0));
+    return bytes;
+}
+
+function aseFloat(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setFloat32(0, value);
+    return [...bytes];
+}
+
+function aseBlock(type, body) {
+    return [type >> 8, type & 0xFF, 0, 0, body.length >> 8, body.length & 0xFF, ...body];
+}
+
+/**
+ * An ASE file with a "Brand" group holding one RGB and one gray swatch
+ */
+function createAse() {
+    const blocks = [
+        aseBlock(0xC001, aseString('Brand')),
+        aseBlock(0x0001, [...aseString('Orange'), ...Buffer.from('RGB '), ...aseFloat(1), ...aseFloat(0.4), ...aseFloat(0), 0, 2]),
+        aseBlock(0x0001, [...aseString('Gray'), ...Buffer.from('Gray'), ...aseFloat(0.4), 0, 2]),
+        aseBlock(0xC002, [])
+    ];
+    return new Uint8Array([...Buffer.from('ASEF'), 0, 1, 0, 0, 0, 0, 0, blocks.length, ...blocks.flat()]).buffer;
+}
+
+test('ASE swatches are imported with their group', () => {
+    const result = new PaletteImporter().import('brand.ase', createAse());
+    assert.equal(result.format, 'ase');
+    assert.deepEqual(result.colors.map(color => color.hex), ['#FF6600', '#666666']);
+});
+
+test('truncated or corrupt ASE files fail with a readable error', () => {
+    const importer = new PaletteImporter();
+    const file = createAse();
+
+    for (const length of [8, 20, 40, file.byteLength - 3]) {
+        assert.throws(() => importer.import('brand.ase', file.slice(0, length)), /Adobe Swatch Exchange|Corrupt ASE file/);
+    }
+
+    // A block length that runs past the end of the file
+    const bytes = new Uint8Array(file.slice(0));
+    bytes[17] = 0xFF;
+    assert.throws(() => importer.import('brand.ase', bytes.buffer), /Corrupt ASE file: block 1 of 4 ends past the end of the file/);
+});
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { CURRENT_SCHEMA_VERSION, RulesValidator } from '../engine.js';
+
+const schema = JSON.parse(readFileSync(new URL('../brandRules.schema.json', import.meta.url), 'utf8'));
+const brandRules = JSON.parse(readFileSync(new URL('../brandRules.json', import.meta.url), 'utf8'));
+
+test('the bundled brand rules are valid', () => {
+    const validator = new RulesValidator(schema);
+    assert.deepEqual(validator.validate(brandRules), []);
+});
+
+test('version 1 rules are migrated to RGB distance matching', () => {
+    const legacy = JSON.parse(JSON.stringify(brandRules));
+    delete legacy.schemaVersion;
+    delete legacy.colors.distanceModel;
+
+    const { rules, fromVersion, migrated } = new RulesValidator(schema).migrate(legacy);
+    assert.equal(fromVersion, 1);
+    assert.equal(migrated, true);
+    assert.equal(rules.schemaVersion, CURRENT_SCHEMA_VERSION);
+    assert.equal(rules.colors.distanceModel, 'rgb');
+    assert.equal(legacy.schemaVersion, undefined, 'the rules passed in are not changed');
+});
+
+test('current rules are not migrated', () => {
+    const { rules, migrated } = new RulesValidator(schema).migrate(brandRules);
+    assert.equal(migrated, false);
+    assert.deepEqual(rules, brandRules);
+});
+
+test('invalid rules are reported with their path', () => {
+    const invalid = JSON.parse(JSON.stringify(brandRules));
+    invalid.colors.approved[0].hex = 'zz';
+
+    const validator = new RulesValidator(schema);
+    const errors = validator.validate(invalid);
+    assert.ok(errors.some(error => error.path === 'colors.approved[0].hex'), errors.map(e => validator.formatError(e)).join('\n'));
+});
+
+test('rules from a newer version are rejected', () => {
+    const errors = new RulesValidator(schema).validate({ ...brandRules, schemaVersion: CURRENT_SCHEMA_VERSION + 1 });
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].path, 'schemaVersion');
+});
+
+test('the published schema is loaded and checks every field', async () => {
+    const validator = await RulesValidator.create();
+    assert.deepEqual(validator.validate(brandRules), []);
+
+    const invalid = JSON.parse(JSON.stringify(brandRules));
+    invalid.brandName = '';
+    invalid.colors.tolerance = 'close';
+    invalid.logo.aspectRatio = { min: 0 };
+    const paths = validator.validate(invalid).map(error => error.path);
+    assert.deepEqual(paths, ['brandName', 'colors.tolerance', 'logo.aspectRatio.min']);
+});
+
+test('without the schema, rules are not accepted', () => {
+    const errors = new RulesValidator().validate(brandRules);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /schema is not loaded/);
+});
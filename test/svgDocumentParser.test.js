@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { SvgDocumentParser } from '../engine.js';
+
+const BANNER_SVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 200">
+  <title>Banner</title>
+  <style>.brand { fill: #0066CC; }</style>
+  <defs>
+    <linearGradient id="sunset">
+      <stop offset="0" stop-color="#FF6600"/>
+      <stop offset="1" stop-color="white"/>
+    </linearGradient>
+  </defs>
+  <g id="header" transform="translate(10 20)" font-family="Roboto, sans-serif">
+    <rect id="bar" class="brand" x="0" y="0" width="100" height="50"/>
+    <text x="5" y="40" font-size="24" font-weight="bold">Hello</text>
+  </g>
+  <circle id="dot" cx="300" cy="100" r="20" fill="url(#sunset)" stroke="currentColor" color="red"/>
+  <image id="logo" x="350" y="10" width="40" height="20" href="logo.png"/>
+</svg>`;
+
+/**
+ * Find a layer by id anywhere in a parsed document
+ */
+function findLayer(layers, id) {
+    for (const layer of layers) {
+        if (layer.id === id) return layer;
+        const child = findLayer(layer.children || [], id);
+        if (child) return child;
+    }
+    return null;
+}
+
+test('the canvas and title come from the svg element', () => {
+    const model = new SvgDocumentParser().parse(BANNER_SVG);
+    assert.equal(model.title, 'Banner');
+    assert.deepEqual(model.bounds, { x: 0, y: 0, width: 400, height: 200 });
+});
+
+test('groups, transforms and stylesheet fills become layers', () => {
+    const model = new SvgDocumentParser().parse(BANNER_SVG);
+    const header = findLayer(model.layers, 'header');
+    const bar = findLayer(model.layers, 'bar');
+
+    assert.equal(header.type, 'group');
+    assert.equal(bar.type, 'rectangle');
+    assert.deepEqual(bar.bounds, { x: 10, y: 20, width: 100, height: 50 });
+    assert.deepEqual(bar.fill.color, { r: 0, g: 102, b: 204 });
+});
+
+test('text keeps its inherited font and is named by its content', () => {
+    const text = new SvgDocumentParser().parse(BANNER_SVG).layers[0].children[1];
+    assert.equal(text.type, 'text');
+    assert.equal(text.name, 'Hello');
+    assert.equal(text.fontFamily, 'Roboto');
+    assert.equal(text.fontWeight, 700);
+    assert.equal(text.fontSize, 24);
+    assert.deepEqual(text.textColor, { r: 0, g: 0, b: 0 });
+});
+
+test('gradients and currentColor are resolved', () => {
+    const dot = findLayer(new SvgDocumentParser().parse(BANNER_SVG).layers, 'dot');
+    assert.deepEqual(dot.fill.gradient.stops.map(stop => stop.color), [
+        { r: 255, g: 102, b: 0 },
+        { r: 255, g: 255, b: 255 }
+    ]);
+    assert.deepEqual(dot.stroke.color, { r: 255, g: 0, b: 0 });
+});
+
+test('images are logo candidates with their link', () => {
+    const logo = findLayer(new SvgDocumentParser().parse(BANNER_SVG).layers, 'logo');
+    assert.equal(logo.type, 'image');
+    assert.equal(logo.imageUrl, 'logo.png');
+});
+
+test('malformed SVG is an error', () => {
+    const parser = new SvgDocumentParser();
+    assert.throws(() => parser.parse('<svg><g><rect width="10" height="10"/>'), /Malformed SVG: <g> is not closed/);
+    assert.throws(() => parser.parse('<html></html>'), /Not an SVG file/);
+});
+
+test('relative font sizes and weights are resolved against the parent', () => {
+    const model = new SvgDocumentParser().parse(`<svg viewBox="0 0 400 400" font-size="20">
+      <g font-size="150%" font-weight="bold">
+        <text id="em" font-size="1.5em">Large</text>
+        <text id="lighter" font-weight="lighter">Light</text>
+      </g>
+      <text id="pt" font-size="12pt">Points</text>
+      <text id="unknown" font-size="calc(1px)">Unknown</text>
+    </svg>`);
+
+    assert.equal(findLayer(model.layers, 'em').fontSize, 45);
+    assert.equal(findLayer(model.layers, 'em').fontWeight, 700);
+    assert.equal(findLayer(model.layers, 'lighter').fontSize, 30);
+    assert.equal(findLayer(model.layers, 'lighter').fontWeight, 400);
+    assert.equal(findLayer(model.layers, 'pt').fontSize, 16);
+    assert.equal(findLayer(model.layers, 'unknown').fontSize, 20);
+});
+
+test('layers are placed relative to a viewBox origin', () => {
+    const model = new SvgDocumentParser().parse(`<svg viewBox="-100 -100 200 200">
+      <rect id="corner" x="-100" y="-100" width="40" height="20" fill="#000"/>
+      <g transform="translate(50 50)"><rect id="moved" width="10" height="10" fill="#000"/></g>
+    </svg>`);
+
+    assert.deepEqual(model.bounds, { x: 0, y: 0, width: 200, height: 200 });
+    assert.deepEqual(findLayer(model.layers, 'corner').bounds, { x: 0, y: 0, width: 40, height: 20 });
+    assert.deepEqual(findLayer(model.layers, 'moved').bounds, { x: 150, y: 150, width: 10, height: 10 });
+});
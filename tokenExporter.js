@@ -0,0 +1,58 @@
+/**
+ * Design Token Exporter
+ * Writes brand rules out as W3C design tokens (DTCG JSON): colors grouped by usage
+ * and font families, so other tools and the palette importer can read them back
+ */
+
+import { TOKEN_EXTENSION } from './paletteImporter.js';
+
+export class TokenExporter {
+    /**
+     * Build the design tokens for brand rules
+     * Each color keeps its brand name and usage under $extensions so a re-import is lossless
+     */
+    exportTokens(brandRules) {
+        const tokens = {};
+
+        const colors = { $type: 'color' };
+        for (const color of brandRules.colors.approved) {
+            const usage = color.usage || 'other';
+            colors[usage] = colors[usage] || {};
+            colors[usage][this.uniqueKey(colors[usage], color.name)] = {
+                $value: color.hex.toUpperCase(),
+                $description: color.name,
+                $extensions: { [TOKEN_EXTENSION]: { name: color.name, usage: color.usage } }
+            };
+        }
+        tokens.color = colors;
+
+        const fonts = { $type: 'fontFamily' };
+        for (const font of brandRules.fonts.approved) {
+            fonts[this.uniqueKey(fonts, font.name)] = {
+                $value: font.fallback ? [font.name, font.fallback] : [font.name],
+                $description: font.name
+            };
+        }
+        tokens.font = { family: fonts };
+
+        return tokens;
+    }
+
+    /**
+     * Serialize the design tokens of brand rules
+     */
+    toJson(brandRules) {
+        return JSON.stringify(this.exportTokens(brandRules), null, 2);
+    }
+
+    /**
+     * Turn a name into a token key that is not used yet in a group
+     * Token names cannot contain '.', '{' or '}' and cannot start with '$'
+     */
+    uniqueKey(group, name) {
+        const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'token';
+        let key = base;
+        for (let suffix = 2; key in group; suffix++) key = `${base}-${suffix}`;
+        return key;
+    }
+}